@@ -1,7 +1,9 @@
 require('dotenv').config();
-const sqlite3 = require('sqlite3').verbose();
+const { ensureChunkTables, refreshStaleChunks } = require('./chunking');
+const { createStorage, ensurePolicyTables } = require('./storage');
+const { ensurePolicyVersionTables, recordPolicyVersions, scrapeRunId } = require('./policy-history');
 
-const db = new sqlite3.Database('suffolk_law.db');
+const db = createStorage();
 
 const commonQuestions = [
   {
@@ -87,38 +89,31 @@ const commonQuestions = [
   }
 ];
 
-console.log('📝 Adding Common Questions to Database...\n');
+async function addCommonQuestions() {
+  console.log('📝 Adding Common Questions to Database...\n');
 
-const stmt = db.prepare(`
-  INSERT INTO policies (external_id, title, category, content, summary, source_url, source_name)
-  VALUES (?, ?, ?, ?, ?, ?, ?)
-  ON CONFLICT(external_id) DO UPDATE SET
-    title = excluded.title,
-    content = excluded.content,
-    summary = excluded.summary,
-    last_updated = CURRENT_TIMESTAMP
-`);
-
-let added = 0;
-commonQuestions.forEach((q, index) => {
-  stmt.run(
-    q.external_id, q.title, q.category, q.content, q.summary, q.source_url, q.source_name,
-    (err) => {
-      if (err) {
-        console.error('Error:', err);
-      } else {
+  let added = 0;
+  try {
+    await ensurePolicyTables(db);
+    await ensurePolicyVersionTables(db);
+    await ensureChunkTables(db);
+    for (const q of commonQuestions) {
+      try {
+        await db.policies.upsert(q);
         added++;
         console.log(`✅ Added: ${q.title}`);
-      }
-      
-      if (index === commonQuestions.length - 1) {
-        stmt.finalize();
-        db.get('SELECT COUNT(*) as count FROM policies', (err, row) => {
-          console.log(`\n✨ Added ${added} common questions`);
-          console.log(`📊 Total policies in database: ${row.count}`);
-          db.close();
-        });
+      } catch (err) {
+        console.error('Error:', err);
       }
     }
-  );
-});
\ No newline at end of file
+    await recordPolicyVersions(db, { scrapeRun: scrapeRunId('add-common-questions') });
+    await refreshStaleChunks(db);
+
+    console.log(`\n✨ Added ${added} common questions`);
+    console.log(`📊 Total policies in database: ${await db.policies.count()}`);
+  } finally {
+    await db.end();
+  }
+}
+
+addCommonQuestions();
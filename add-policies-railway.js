@@ -1,10 +1,9 @@
 require('dotenv').config();
-const { Pool } = require('pg');
+const { ensureChunkTables, refreshStaleChunks } = require('./chunking');
+const { createStorage, ensurePolicyTables } = require('./storage');
+const { ensurePolicyVersionTables, recordPolicyVersions, scrapeRunId } = require('./policy-history');
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
+const db = createStorage();
 
 const commonQuestions = [
   {
@@ -67,25 +66,21 @@ async function addPolicies() {
   console.log('📚 Adding common Suffolk Law policies...\n');
   
   try {
+    await ensurePolicyTables(db);
+    await ensurePolicyVersionTables(db);
+    await ensureChunkTables(db);
     for (const policy of commonQuestions) {
-      await pool.query(`
-        INSERT INTO policies (external_id, title, category, content, summary, source_url, source_name)
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
-        ON CONFLICT (external_id) DO UPDATE SET
-          content = EXCLUDED.content,
-          summary = EXCLUDED.summary,
-          last_updated = CURRENT_TIMESTAMP
-      `, [policy.external_id, policy.title, policy.category, policy.content, policy.summary, policy.source_url, policy.source_name]);
-      
+      await db.policies.upsert(policy);
       console.log('✅', policy.title);
     }
+    await recordPolicyVersions(db, { scrapeRun: scrapeRunId('add-policies-railway') });
+    await refreshStaleChunks(db);
     
-    const result = await pool.query('SELECT COUNT(*) FROM policies');
-    console.log(`\n✨ Complete! Total policies: ${result.rows[0].count}`);
+    console.log(`\n✨ Complete! Total policies: ${await db.policies.count()}`);
   } catch (err) {
     console.error('❌ Error:', err);
   } finally {
-    await pool.end();
+    await db.end();
   }
 }
 
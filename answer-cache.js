@@ -0,0 +1,190 @@
+// Answer cache keyed on a normalized question and a hash of the active policy corpus
+
+const crypto = require('crypto');
+
+const SIMILARITY_THRESHOLD = parseFloat(process.env.ANSWER_CACHE_SIMILARITY || '0.8');
+const TTL_HOURS = parseInt(process.env.ANSWER_CACHE_TTL_HOURS || '168', 10);
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'about', 'am', 'at', 'be', 'can', 'could', 'do', 'does', 'for', 'from',
+  'get', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'please',
+  'should', 'so', 'tell', 'that', 'the', 'there', 'this', 'to', 'what', 'whats', 'when', 'where',
+  'which', 'who', 'will', 'with', 'would', 'you', 'your'
+]);
+
+async function ensureAnswerCacheTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS answer_cache (
+      id SERIAL PRIMARY KEY,
+      normalized_question TEXT NOT NULL,
+      question TEXT NOT NULL,
+      corpus_version VARCHAR(64) NOT NULL,
+      response TEXT NOT NULL,
+      hits INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_hit_at TIMESTAMP,
+      UNIQUE (normalized_question, corpus_version)
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_answer_cache_version ON answer_cache(corpus_version)`);
+  await pool.query(`ALTER TABLE qa_interactions ADD COLUMN IF NOT EXISTS cache_hit BOOLEAN DEFAULT false`);
+}
+
+// Crude plural folding so "absences" and "absence" share a key
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function questionTokens(question) {
+  const words = question
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(w => w && !STOPWORDS.has(w))
+    .map(stem);
+  return [...new Set(words)].sort();
+}
+
+// Case, punctuation, stopwords and word order don't change the key
+function normalizeQuestion(question) {
+  return questionTokens(question).join(' ');
+}
+
+function similarity(a, b) {
+  const left = new Set(a.split(' '));
+  const right = new Set(b.split(' '));
+  const shared = [...left].filter(w => right.has(w)).length;
+  const union = new Set([...left, ...right]).size;
+  return union === 0 ? 0 : shared / union;
+}
+
+function md5(text) {
+  return crypto.createHash('md5').update(text).digest('hex');
+}
+
+// Changes whenever an active policy is added, removed, retitled or rewritten. SQLite has no md5()
+// or string_agg(), so there an equivalent hash is computed here.
+async function getCorpusVersion(pool) {
+  if (pool.dialect === 'sqlite') {
+    const result = await pool.query(`
+      SELECT external_id, title, source_url, content FROM policies
+      WHERE is_active = true
+      ORDER BY external_id
+    `);
+    return md5(result.rows.map(p => `${p.external_id}:${md5((p.title || '') + (p.source_url || '') + (p.content || ''))}`).join(','));
+  }
+
+  const result = await pool.query(`
+    SELECT md5(coalesce(string_agg(external_id || ':' || md5(coalesce(title, '') || coalesce(source_url, '') || coalesce(content, '')), ',' ORDER BY external_id), '')) AS version
+    FROM policies WHERE is_active = true
+  `);
+  return result.rows[0].version;
+}
+
+// Exact normalized match first, then the closest near-duplicate above SIMILARITY_THRESHOLD
+async function lookupAnswer(pool, question, corpusVersion) {
+  const normalized = normalizeQuestion(question);
+  if (!normalized) return null;
+
+  const result = await pool.query(`
+    SELECT id, normalized_question, response FROM answer_cache
+    WHERE corpus_version = $1 AND created_at > NOW() - ($2 || ' hours')::interval
+  `, [corpusVersion, String(TTL_HOURS)]);
+
+  let best = null;
+  for (const row of result.rows) {
+    const score = row.normalized_question === normalized ? 1 : similarity(normalized, row.normalized_question);
+    if (score >= SIMILARITY_THRESHOLD && (!best || score > best.score)) {
+      best = { ...row, score };
+    }
+  }
+  if (!best) return null;
+
+  await pool.query(
+    'UPDATE answer_cache SET hits = hits + 1, last_hit_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [best.id]
+  );
+  return { id: best.id, similarity: best.score, response: JSON.parse(best.response) };
+}
+
+async function storeAnswer(pool, question, corpusVersion, response) {
+  const normalized = normalizeQuestion(question);
+  if (!normalized) return;
+
+  await pool.query(`
+    INSERT INTO answer_cache (normalized_question, question, corpus_version, response)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (normalized_question, corpus_version) DO UPDATE SET
+      question = EXCLUDED.question,
+      response = EXCLUDED.response,
+      created_at = CURRENT_TIMESTAMP
+  `, [normalized, question, corpusVersion, JSON.stringify(response)]);
+}
+
+async function getCacheStats(pool, corpusVersion) {
+  const entries = await pool.query(`
+    SELECT COUNT(*) AS total,
+      COUNT(*) FILTER (WHERE corpus_version = $1) AS current,
+      COALESCE(SUM(hits), 0) AS hits
+    FROM answer_cache
+  `, [corpusVersion]);
+  const interactions = await pool.query(`
+    SELECT COUNT(*) AS total,
+      COUNT(*) FILTER (WHERE cache_hit) AS hits,
+      COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '1 day') AS total_24h,
+      COUNT(*) FILTER (WHERE cache_hit AND created_at > NOW() - INTERVAL '1 day') AS hits_24h
+    FROM qa_interactions
+  `);
+
+  const e = entries.rows[0];
+  const i = interactions.rows[0];
+  const rate = (hits, total) => (parseInt(total) > 0 ? parseInt(hits) / parseInt(total) : 0);
+
+  return {
+    corpus_version: corpusVersion,
+    entries: parseInt(e.total),
+    current_entries: parseInt(e.current),
+    stale_entries: parseInt(e.total) - parseInt(e.current),
+    total_hits: parseInt(e.hits),
+    hit_rate: rate(i.hits, i.total),
+    hit_rate_24h: rate(i.hits_24h, i.total_24h)
+  };
+}
+
+async function listCacheEntries(pool, { limit = 50 } = {}) {
+  const result = await pool.query(`
+    SELECT id, question, normalized_question, corpus_version, hits, created_at, last_hit_at
+    FROM answer_cache
+    ORDER BY hits DESC, created_at DESC
+    LIMIT $1
+  `, [limit]);
+  return result.rows;
+}
+
+// Purges everything, or only entries built against an older corpus when staleOnly is set
+async function purgeCache(pool, { corpusVersion, staleOnly = false } = {}) {
+  const result = staleOnly
+    ? await pool.query('DELETE FROM answer_cache WHERE corpus_version <> $1', [corpusVersion])
+    : await pool.query('DELETE FROM answer_cache');
+  return result.rowCount;
+}
+
+async function deleteCacheEntry(pool, id) {
+  const result = await pool.query('DELETE FROM answer_cache WHERE id = $1', [id]);
+  return result.rowCount;
+}
+
+module.exports = {
+  deleteCacheEntry,
+  ensureAnswerCacheTables,
+  getCacheStats,
+  getCorpusVersion,
+  listCacheEntries,
+  lookupAnswer,
+  normalizeQuestion,
+  purgeCache,
+  storeAnswer
+};
@@ -0,0 +1,358 @@
+// Academic calendar: dated events (registration, add/drop, exams, holidays) scraped from the
+// Suffolk Law academic calendar page, used for date questions and exported as iCalendar.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { cleanText } = require('./page-extract');
+const { extractKeywords } = require('./retrieval');
+
+const CALENDAR_URL = process.env.CALENDAR_URL || 'https://www.suffolk.edu/law/academics-clinics/academic-calendar';
+const TIME_ZONE = 'America/New_York';
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+// "November 9", "Nov. 9, 2026", "December 7 - 18", "December 21, 2026 – January 4, 2027"
+const DATE_PATTERN = new RegExp(
+  `${MONTH}\\s+(\\d{1,2})(?:,?\\s+(\\d{4}))?(?:\\s*(?:-|–|—|to|through)\\s*(?:${MONTH}\\s+)?(\\d{1,2})(?:,?\\s+(\\d{4}))?)?`,
+  'i'
+);
+const TERM_PATTERN = /\b(fall|spring|summer|intersession|winter)\s+(?:semester\s+|term\s+|session\s+)?(\d{4})\b/i;
+
+const CATEGORY_RULES = [
+  { category: 'registration', pattern: /\bregistration|register|add\/drop|add-drop|drop\/add|waitlist/i },
+  { category: 'exams', pattern: /\bexams?\b|examination|reading period/i },
+  { category: 'holiday', pattern: /\bholiday|no classes|recess|break|thanksgiving|labor day|memorial day|juneteenth|indigenous|patriots|martin luther king|mlk|presidents/i },
+  { category: 'classes', pattern: /\bclasses (begin|start|end)|first day of class|last day of class|orientation/i },
+  { category: 'graduation', pattern: /\bcommencement|graduation|degree conferral/i },
+  { category: 'deadline', pattern: /\bdeadline|last day|due\b/i }
+];
+
+// A date question asks when something happens and names something on the academic calendar,
+// so "when does the library open?" and "absent due to illness" are left to the policies
+const DATE_QUESTION = /\b(when|what (date|day)|which (date|day)|how (long|many days) until|dates?|due date|deadlines?|last day|first day|schedule|calendar)\b/i;
+const CALENDAR_EVENT = /\b(registration|register|add\/drop|add-drop|drop\/add|withdraw(al)?|exams?|examinations?|finals|midterms?|reading period|classes|semester|term|intersession|orientation|commencement|graduation|break|recess|holidays?|thanksgiving|tuition|grades)\b/i;
+
+// Words in date questions that say nothing about which event is meant
+const GENERIC_WORDS = new Set(['when', 'date', 'dates', 'day', 'days', 'deadline', 'open', 'opens', 'close', 'closes', 'begin', 'begins', 'start', 'starts', 'end', 'ends', 'schedule', 'calendar', 'last', 'first', 'long', 'many', 'until', 'year', 'semester', 'term']);
+
+async function ensureCalendarTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS academic_calendar (
+      id SERIAL PRIMARY KEY,
+      external_id VARCHAR(64) UNIQUE NOT NULL,
+      term VARCHAR(50),
+      event TEXT NOT NULL,
+      category VARCHAR(50),
+      start_date DATE NOT NULL,
+      end_date DATE,
+      source_url TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_academic_calendar_dates ON academic_calendar(start_date)`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_academic_calendar_term ON academic_calendar(term)`);
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function monthIndex(name) {
+  const prefix = name.toLowerCase().replace('.', '').substring(0, 3);
+  return MONTHS.findIndex(m => m.startsWith(prefix));
+}
+
+function categorize(event) {
+  const rule = CATEGORY_RULES.find(r => r.pattern.test(event));
+  return rule ? rule.category : 'other';
+}
+
+// Spring and intersession dates in January-June belong to the term's year; a fall term's
+// January dates (e.g. a fall exam makeup) roll into the next year
+function yearFor(month, term) {
+  if (!term) return null;
+  const season = term.season.toLowerCase();
+  if ((season === 'fall' || season === 'winter') && month < 6) return term.year + 1;
+  return term.year;
+}
+
+// YYYY-MM-DD, or null for a day the month doesn't have ("February 31")
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month, parseInt(day, 10)));
+  if (date.getUTCMonth() !== month || date.getUTCFullYear() !== year) return null;
+  return `${year}-${pad(month + 1)}-${pad(day)}`;
+}
+
+// Returns { start_date, end_date } as YYYY-MM-DD strings, or null if there's no usable date
+function parseDates(text, term) {
+  const match = text.match(DATE_PATTERN);
+  if (!match) return null;
+
+  const [, startMonthName, startDay, startYearText, endMonthName, endDay, endYearText] = match;
+  const startMonth = monthIndex(startMonthName);
+  const startYear = startYearText ? parseInt(startYearText, 10) : (endYearText && !endMonthName ? parseInt(endYearText, 10) : yearFor(startMonth, term));
+  if (startMonth === -1 || !startYear) return null;
+
+  const start = isoDate(startYear, startMonth, startDay);
+  if (!start) return null;
+  if (!endDay) return { start_date: start, end_date: null };
+
+  const endMonth = endMonthName ? monthIndex(endMonthName) : startMonth;
+  let endYear = endYearText ? parseInt(endYearText, 10) : startYear;
+  if (!endYearText && endMonth < startMonth) endYear++;
+  const end = endMonth === -1 ? null : isoDate(endYear, endMonth, endDay);
+  if (!end) return null;
+  return { start_date: start, end_date: end };
+}
+
+// Reads events from calendar markup: headings name the term ("Spring 2027"), and each table row
+// or list item below pairs a date with what happens on it
+function parseCalendarHtml(html, sourceUrl = CALENDAR_URL) {
+  const $ = cheerio.load(html);
+  $('script, style, nav, footer, header, .nav, .menu, .breadcrumb').remove();
+
+  const events = [];
+  let term = null;
+
+  $('h1, h2, h3, h4, tr, li, p').each((i, el) => {
+    const tag = el.tagName.toLowerCase();
+    const text = cleanText($(el).text());
+    if (!text) return;
+
+    if (/^h\d$/.test(tag)) {
+      const t = text.match(TERM_PATTERN);
+      if (t) term = { season: t[1], year: parseInt(t[2], 10), label: `${t[1][0].toUpperCase()}${t[1].slice(1).toLowerCase()} ${t[2]}` };
+      return;
+    }
+
+    // Paragraphs and items inside a table row are handled with the row
+    if (tag !== 'tr' && $(el).closest('tr').length > 0) return;
+
+    const dates = parseDates(text, term);
+    if (!dates) return;
+
+    const cells = tag === 'tr' ? $(el).find('td, th').map((j, c) => cleanText($(c).text())).get() : [];
+    const event = (cells.length > 1 ? cells.filter(c => !DATE_PATTERN.test(c)).join(' — ') : text.replace(DATE_PATTERN, ''))
+      .replace(/^[\s,:;–—-]+|[\s,:;–—-]+$/g, '')
+      .replace(/^(mon|tues?|wed(nes)?|thu(rs)?|fri|sat(ur)?|sun)(day)?\b[\s,]*/i, '')
+      .trim();
+    if (event.length < 3 || event.length > 200) return;
+
+    events.push({
+      term: term ? term.label : null,
+      event,
+      category: categorize(event),
+      ...dates,
+      source_url: sourceUrl
+    });
+  });
+
+  return events;
+}
+
+async function scrapeCalendar(url = CALENDAR_URL) {
+  const response = await axios.get(url, {
+    headers: {'User-Agent': 'Mozilla/5.0'},
+    timeout: 30000
+  });
+  return parseCalendarHtml(response.data, url);
+}
+
+function eventId(event) {
+  return crypto.createHash('md5').update(`${event.term}|${event.event}|${event.start_date}`).digest('hex');
+}
+
+// Upserts events; returns how many were written
+async function saveEvents(pool, events) {
+  for (const e of events) {
+    await pool.query(`
+      INSERT INTO academic_calendar (external_id, term, event, category, start_date, end_date, source_url)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (external_id) DO UPDATE SET
+        category = EXCLUDED.category,
+        end_date = EXCLUDED.end_date,
+        source_url = EXCLUDED.source_url,
+        last_updated = CURRENT_TIMESTAMP
+    `, [eventId(e), e.term, e.event, e.category, e.start_date, e.end_date, e.source_url]);
+  }
+  return events.length;
+}
+
+const EVENT_COLUMNS = `id, term, event, category, to_char(start_date, 'YYYY-MM-DD') AS start_date,
+  to_char(end_date, 'YYYY-MM-DD') AS end_date, source_url, last_updated`;
+
+async function listEvents(pool, { term = null, category = null, from = null, to = null } = {}) {
+  const result = await pool.query(`
+    SELECT ${EVENT_COLUMNS} FROM academic_calendar
+    WHERE ($1::text IS NULL OR term = $1)
+      AND ($2::text IS NULL OR category = $2)
+      AND ($3::date IS NULL OR coalesce(end_date, start_date) >= $3)
+      AND ($4::date IS NULL OR start_date <= $4)
+    ORDER BY start_date, event
+  `, [term, category, from, to]);
+  return result.rows;
+}
+
+async function listTerms(pool) {
+  const result = await pool.query(`
+    SELECT term, MIN(start_date) AS starts FROM academic_calendar
+    WHERE term IS NOT NULL GROUP BY term ORDER BY starts
+  `);
+  return result.rows.map(row => row.term);
+}
+
+// YYYY-MM-DD in Boston
+function today() {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().substring(0, 10);
+}
+
+function formatDate(date) {
+  return new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+  });
+}
+
+function relativeTo(date, now) {
+  const days = daysBetween(now, date);
+  if (days === 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  if (days === -1) return 'yesterday';
+  return days > 0 ? `in ${days} days` : `${-days} days ago`;
+}
+
+// "Monday, November 9, 2026 (in 21 days)", or a range that says whether it's under way
+function describeWhen(event, now) {
+  if (!event.end_date) return `${formatDate(event.start_date)} (${relativeTo(event.start_date, now)})`;
+
+  const range = `${formatDate(event.start_date)} through ${formatDate(event.end_date)}`;
+  if (daysBetween(now, event.start_date) > 0) return `${range} (starts ${relativeTo(event.start_date, now)})`;
+  if (daysBetween(now, event.end_date) >= 0) return `${range} (under way now, ends ${relativeTo(event.end_date, now)})`;
+  return `${range} (ended ${relativeTo(event.end_date, now)})`;
+}
+
+function isDateQuestion(question) {
+  return DATE_QUESTION.test(question) && CALENDAR_EVENT.test(question);
+}
+
+// Events matching the question's topic words, upcoming ones first. Looks from a month back to
+// a bit over a year ahead, so last year's dates don't answer "when is add/drop?".
+async function findEvents(pool, question, { now = today(), limit = 5 } = {}) {
+  const keywords = extractKeywords(question)
+    .filter(w => !GENERIC_WORDS.has(w))
+    .map(w => w.substring(0, 5));
+  if (keywords.length === 0) return [];
+
+  const result = await pool.query(`
+    SELECT ${EVENT_COLUMNS} FROM academic_calendar
+    WHERE coalesce(end_date, start_date) >= $1 AND start_date <= $2
+  `, [addDays(now, -30), addDays(now, 400)]);
+
+  return result.rows
+    .map(e => {
+      const text = `${e.event} ${e.category} ${e.term || ''}`.toLowerCase();
+      return { ...e, hits: keywords.filter(k => text.includes(k)).length };
+    })
+    .filter(e => e.hits > 0)
+    .sort((a, b) => {
+      if (b.hits !== a.hits) return b.hits - a.hits;
+      const aPast = daysBetween(now, a.end_date || a.start_date) < 0;
+      const bPast = daysBetween(now, b.end_date || b.start_date) < 0;
+      if (aPast !== bPast) return aPast ? 1 : -1;
+      return Math.abs(daysBetween(now, a.start_date)) - Math.abs(daysBetween(now, b.start_date));
+    })
+    .slice(0, limit)
+    .map(({ hits, ...event }) => event);
+}
+
+// Added to the answer prompt for date questions
+function calendarContext(events, now = today()) {
+  if (events.length === 0) return '';
+  const lines = events.map(e => `- ${e.event}${e.term ? ` (${e.term})` : ''}: ${describeWhen(e, now)}`);
+  return `\n\nTODAY: ${formatDate(now)}\n\nACADEMIC CALENDAR (official dates; use these over anything the policies say about timing, and say how far away each date is):\n${lines.join('\n')}`;
+}
+
+// Answer built straight from the calendar when no policy passage matched
+function calendarAnswer(events, now = today()) {
+  const lines = events.map(e => `- ${e.event}${e.term ? ` (${e.term})` : ''}: ${describeWhen(e, now)}`);
+  return `According to the Suffolk Law academic calendar (today is ${formatDate(now)}):\n\n${lines.join('\n')}\n\nSee ${events[0].source_url || CALENDAR_URL} for the full calendar.`;
+}
+
+// iCalendar text escaping and 75-octet line folding (RFC 5545)
+function icsText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function foldLine(line) {
+  const parts = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.substring(0, cut)) > 75) cut--;
+    parts.push(rest.substring(0, cut));
+    rest = ' ' + rest.substring(cut);
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+}
+
+function icsDate(date, offsetDays = 0) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + offsetDays);
+  return d.toISOString().substring(0, 10).replace(/-/g, '');
+}
+
+// All-day events; DTEND is exclusive, so it's the day after the last day
+function toICS(events, { name = 'Suffolk Law Academic Calendar' } = {}) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Suffolk Law Policy Navigator//Academic Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(name)}`,
+    `X-WR-TIMEZONE:${TIME_ZONE}`
+  ];
+  for (const e of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:academic-calendar-${e.id}@suffolk-law-navigator`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(e.start_date)}`,
+      `DTEND;VALUE=DATE:${icsDate(e.end_date || e.start_date, 1)}`,
+      `SUMMARY:${icsText(e.event)}`,
+      `CATEGORIES:${icsText(e.category || 'other')}`,
+      ...(e.term ? [`DESCRIPTION:${icsText(e.term)}`] : []),
+      ...(e.source_url ? [`URL:${e.source_url}`] : []),
+      'END:VEVENT'
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  CALENDAR_URL,
+  calendarAnswer,
+  calendarContext,
+  ensureCalendarTables,
+  findEvents,
+  isDateQuestion,
+  listEvents,
+  listTerms,
+  parseCalendarHtml,
+  saveEvents,
+  scrapeCalendar,
+  toICS,
+  today
+};
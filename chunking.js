@@ -0,0 +1,252 @@
+// Heading-aware passage chunking of policies into policy_chunks. Policies extracted from PDFs
+// separate their pages with form feeds (see pdf-extract.js); their passages record the pages
+// they span and link to the first of them.
+
+const crypto = require('crypto');
+
+const CHUNK_SIZE = parseInt(process.env.CHUNK_SIZE || '900', 10);
+const HEADING_MAX_LENGTH = 100;
+
+// "Rule 2B", "Rule 4.1", "Section 3" at the start of a passage
+const RULE_HEADING = /^(Rule|Section)\s+(\d+(?:\.\d+)*(?:\.?[A-Za-z])?)\b/;
+// The same headings run into the previous sentence, as the flattening scrapers leave them
+const INLINE_RULE = /[.!?:]\s+(?=(?:Rule|Section)\s+\d+(?:\.\d+)*(?:\.?[A-Za-z])?\b)/g;
+const SENTENCE = /[^.!?]+(?:[.!?]+|$)/g;
+
+// SQLite has no tsvector; retrieval matches keywords against heading and content there
+const SEARCH_VECTOR_COLUMN = `search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(heading, '')), 'A') ||
+        setweight(to_tsvector('english', content), 'C')
+      ) STORED,`;
+
+async function ensureChunkTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS policy_chunks (
+      id SERIAL PRIMARY KEY,
+      policy_id INTEGER NOT NULL REFERENCES policies(id) ON DELETE CASCADE,
+      chunk_index INTEGER NOT NULL,
+      heading TEXT,
+      anchor VARCHAR(255),
+      start_offset INTEGER NOT NULL,
+      end_offset INTEGER NOT NULL,
+      content TEXT NOT NULL,
+      ${pool.dialect === 'sqlite' ? '' : SEARCH_VECTOR_COLUMN}
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (policy_id, chunk_index)
+    )
+  `);
+  await pool.query(`ALTER TABLE policy_chunks ADD COLUMN IF NOT EXISTS page_start INTEGER`);
+  await pool.query(`ALTER TABLE policy_chunks ADD COLUMN IF NOT EXISTS page_end INTEGER`);
+  await pool.query(`ALTER TABLE policy_chunks ADD COLUMN IF NOT EXISTS source_hash VARCHAR(64)`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_policy_chunks_policy ON policy_chunks(policy_id)`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_policy_chunks_search ON policy_chunks USING GIN(search_vector)`);
+}
+
+// Shrinks [start, end) so it doesn't begin or end on whitespace; null if nothing is left
+function trimRange(content, start, end) {
+  while (start < end && /\s/.test(content[start])) start++;
+  while (end > start && /\s/.test(content[end - 1])) end--;
+  return start < end ? { start, end } : null;
+}
+
+function splitRange(content, range, pattern) {
+  const parts = [];
+  const text = content.slice(range.start, range.end);
+  let last = 0;
+  let match;
+
+  pattern.lastIndex = 0;
+  while ((match = pattern.exec(text))) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+    const cut = pattern === SENTENCE ? match.index + match[0].length : match.index + 1;
+    const part = trimRange(content, range.start + last, range.start + cut);
+    if (part) parts.push(part);
+    last = cut;
+  }
+
+  const rest = trimRange(content, range.start + last, range.end);
+  if (rest) parts.push(rest);
+  return parts;
+}
+
+// Paragraphs, with inline rule headings broken out into their own paragraphs
+function splitSegments(content) {
+  const segments = [];
+  const breaks = /\n\s*\n/g;
+  let last = 0;
+  let match;
+
+  while ((match = breaks.exec(content))) {
+    const range = trimRange(content, last, match.index);
+    if (range) segments.push(range);
+    last = match.index + match[0].length;
+  }
+  const range = trimRange(content, last, content.length);
+  if (range) segments.push(range);
+
+  return segments.flatMap(segment => splitRange(content, segment, INLINE_RULE));
+}
+
+function isHeadingLine(text) {
+  return text.length <= HEADING_MAX_LENGTH &&
+    !/[.!?,;]$/.test(text) &&
+    /^[A-Z0-9]/.test(text) &&
+    text.split(/\s+/).length <= 12;
+}
+
+function detectHeading(text) {
+  const rule = text.match(RULE_HEADING);
+  if (rule) {
+    const parts = text.split(/(?<=\S)[.:](?:\s|$)/);
+    // "Rule 2B. Attendance. Students are..." reads better as "Rule 2B. Attendance"
+    const title = parts[0] === rule[0] && parts[1] ? `${parts[0]}. ${parts[1]}` : parts[0];
+    return {
+      heading: title.substring(0, HEADING_MAX_LENGTH),
+      anchor: rule[1].toLowerCase() + rule[2].replace(/\./g, ''),
+      standalone: isHeadingLine(text)
+    };
+  }
+  if (isHeadingLine(text)) {
+    return { heading: text, anchor: null, standalone: true };
+  }
+  return null;
+}
+
+function anchorFromUrl(url) {
+  if (!url || !url.includes('#')) return null;
+  return url.split('#')[1] || null;
+}
+
+// Link to the section of the official page a passage came from
+function sectionUrl(sourceUrl, anchor) {
+  if (!sourceUrl || !anchor) return sourceUrl;
+  return `${sourceUrl.split('#')[0]}#${anchor}`;
+}
+
+// Offsets where each page after the first starts; empty for content that isn't paged
+function pageStarts(content) {
+  const starts = [];
+  for (let i = content.indexOf('\f'); i !== -1; i = content.indexOf('\f', i + 1)) starts.push(i + 1);
+  return starts;
+}
+
+// "page 12", "pages 12–13", or null for a passage that isn't from a PDF
+function pageLabel(pageStart, pageEnd) {
+  if (!pageStart) return null;
+  return pageEnd && pageEnd !== pageStart ? `pages ${pageStart}–${pageEnd}` : `page ${pageStart}`;
+}
+
+// Splits a policy into passages of roughly CHUNK_SIZE characters that never straddle a
+// heading. Offsets index into policy.content so citations can point back at the source text.
+function chunkPolicy(policy, { chunkSize = CHUNK_SIZE } = {}) {
+  const content = policy.content || '';
+  const defaultAnchor = anchorFromUrl(policy.source_url);
+  const starts = pageStarts(content);
+  const pageAt = offset => (starts.length > 0 ? 1 + starts.filter(start => start <= offset).length : null);
+  const chunks = [];
+  let heading = null;
+  let anchor = defaultAnchor;
+  let current = null;
+
+  const flush = () => {
+    if (!current) return;
+    const pageStart = pageAt(current.start);
+    chunks.push({
+      chunk_index: chunks.length,
+      heading: current.heading,
+      // Rule anchors mean nothing in a PDF, but viewers open #page=N at that page
+      anchor: pageStart ? `page=${pageStart}` : current.anchor,
+      start_offset: current.start,
+      end_offset: current.end,
+      page_start: pageStart,
+      page_end: pageAt(current.end - 1),
+      content: content.slice(current.start, current.end)
+    });
+    current = null;
+  };
+
+  const append = (range) => {
+    if (current && range.end - current.start > chunkSize) flush();
+    if (!current) current = { start: range.start, end: range.end, heading, anchor };
+    current.end = range.end;
+  };
+
+  for (const segment of splitSegments(content)) {
+    const text = content.slice(segment.start, segment.end);
+    const detected = detectHeading(text);
+
+    if (detected) {
+      flush();
+      heading = detected.heading;
+      anchor = detected.anchor || defaultAnchor;
+      if (detected.standalone) {
+        // Keep the heading text at the top of the passage that follows it
+        current = { start: segment.start, end: segment.end, heading, anchor };
+        continue;
+      }
+    }
+
+    const pieces = segment.end - segment.start > chunkSize
+      ? splitRange(content, segment, SENTENCE)
+      : [segment];
+    pieces.forEach(append);
+  }
+  flush();
+
+  return chunks;
+}
+
+// Hash of what chunkPolicy reads, stored on each chunk so changed policies can be found
+function sourceHash(policy) {
+  return crypto.createHash('sha256').update(`${policy.source_url || ''}\n${policy.content || ''}`).digest('hex');
+}
+
+async function replacePolicyChunks(pool, policy) {
+  const chunks = chunkPolicy(policy);
+  const hash = sourceHash(policy);
+
+  await pool.query('DELETE FROM policy_chunks WHERE policy_id = $1', [policy.id]);
+  for (const chunk of chunks) {
+    await pool.query(`
+      INSERT INTO policy_chunks (policy_id, chunk_index, heading, anchor, start_offset, end_offset, page_start, page_end, content, source_hash)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [
+      policy.id, chunk.chunk_index, chunk.heading, chunk.anchor, chunk.start_offset, chunk.end_offset,
+      chunk.page_start, chunk.page_end, chunk.content, hash
+    ]);
+  }
+
+  return chunks.length;
+}
+
+// Re-chunks every policy whose content or URL differs from what its chunks were built from (or
+// was never chunked). Compared by hash rather than timestamp, since SQLite's are to the second.
+async function refreshStaleChunks(pool) {
+  const result = await pool.query(`
+    SELECT p.*, (SELECT MIN(c.source_hash) FROM policy_chunks c WHERE c.policy_id = p.id) AS chunk_hash
+    FROM policies p
+  `);
+  const stale = result.rows.filter(({ chunk_hash, ...policy }) => chunk_hash !== sourceHash(policy));
+
+  let total = 0;
+  for (const { chunk_hash, ...policy } of stale) {
+    total += await replacePolicyChunks(pool, policy);
+  }
+
+  if (stale.length > 0) {
+    console.log(`🧩 Chunked ${stale.length} policies into ${total} passages`);
+  }
+  return { policies: stale.length, chunks: total };
+}
+
+module.exports = {
+  chunkPolicy,
+  ensureChunkTables,
+  pageLabel,
+  refreshStaleChunks,
+  replacePolicyChunks,
+  sectionUrl
+};
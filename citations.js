@@ -0,0 +1,145 @@
+// Inline [n] citations: map markers to the passages sent as context and verify quoted text
+
+const MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+const QUOTE = /["“]([^"”\n]{12,})["”]/g;
+const MIN_QUOTE_WORDS = 3;
+
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.,;:!?'"]+|[\s.,;:!?'"]+$/g, '');
+}
+
+function stripMarkers(text) {
+  return text.replace(/\s?\[(\d+(?:\s*,\s*\d+)*)\]/g, '');
+}
+
+function parseNumbers(group) {
+  return group.split(',').map(n => parseInt(n.trim(), 10));
+}
+
+// Drops marker numbers that weren't in the context; returns the cleaned answer and the rejects
+function removeInvalidMarkers(answer, count) {
+  const invalid = new Set();
+  const cleaned = answer.replace(/(\s?)\[(\d+(?:\s*,\s*\d+)*)\]/g, (whole, space, group) => {
+    const numbers = parseNumbers(group);
+    const valid = numbers.filter(n => n >= 1 && n <= count);
+    numbers.filter(n => !valid.includes(n)).forEach(n => invalid.add(n));
+    return valid.length > 0 ? `${space}[${valid.join(', ')}]` : '';
+  });
+  return { answer: cleaned, invalid: [...invalid].sort((a, b) => a - b) };
+}
+
+// The claim each marker (or run of adjacent markers) backs: from the end of the previous
+// sentence or marker up to the marker itself
+function findSpans(answer) {
+  const spans = [];
+  let previousEnd = 0;
+  let match;
+
+  MARKER.lastIndex = 0;
+  while ((match = MARKER.exec(answer))) {
+    const numbers = parseNumbers(match[1]);
+    const markerEnd = match.index + match[0].length;
+    const last = spans[spans.length - 1];
+
+    if (last && /^\s*$/.test(answer.slice(previousEnd, match.index))) {
+      last.citations.push(...numbers.filter(n => !last.citations.includes(n)));
+      previousEnd = markerEnd;
+      continue;
+    }
+
+    let end = match.index;
+    while (end > previousEnd && /\s/.test(answer[end - 1])) end--;
+
+    // Ignore the claim's own closing punctuation when looking for where it starts
+    const head = answer.slice(previousEnd, Math.max(previousEnd, end - 1));
+    const boundary = Math.max(head.lastIndexOf('. '), head.lastIndexOf('! '), head.lastIndexOf('? '), head.lastIndexOf('\n'));
+    let start = boundary === -1 ? previousEnd : previousEnd + boundary + 1;
+    while (start < end && /[\s.,;:!?\]]/.test(answer[start])) start++;
+
+    if (start < end) {
+      spans.push({ start, end, text: answer.slice(start, end), citations: [...new Set(numbers)] });
+    }
+    previousEnd = markerEnd;
+  }
+
+  return spans;
+}
+
+function findQuotes(text) {
+  const quotes = [];
+  let match;
+  QUOTE.lastIndex = 0;
+  while ((match = QUOTE.exec(text))) {
+    if (match[1].trim().split(/\s+/).length >= MIN_QUOTE_WORDS) quotes.push(match[1]);
+  }
+  return quotes;
+}
+
+async function loadPolicyTexts(pool, policyIds) {
+  if (policyIds.length === 0) return {};
+  const result = await pool.query('SELECT id, content FROM policies WHERE id = ANY($1)', [policyIds]);
+  return Object.fromEntries(result.rows.map(row => [row.id, row.content]));
+}
+
+// Checks an answer's [n] markers against the numbered passages it was given. Markers that
+// point outside the context are removed. Text the answer puts in quotes next to a marker must
+// appear in one of the cited passages (or elsewhere in that passage's policy).
+function verifyCitations(rawAnswer, passages, policyTexts = {}) {
+  const { answer, invalid } = removeInvalidMarkers(rawAnswer, passages.length);
+  const spans = findSpans(answer);
+  const cited = new Set();
+
+  for (const span of spans) {
+    span.citations.forEach(n => cited.add(n));
+
+    const haystacks = span.citations.flatMap(n => {
+      const passage = passages[n - 1];
+      return [passage.content, policyTexts[passage.policy_id] || ''].map(normalize);
+    });
+
+    span.quotes = findQuotes(span.text).map(text => ({
+      text,
+      verified: haystacks.some(haystack => haystack.includes(normalize(text)))
+    }));
+  }
+
+  const citations = [...cited].sort((a, b) => a - b).map(n => {
+    const passage = passages[n - 1];
+    return {
+      n,
+      policy_id: passage.policy_id,
+      chunk_id: passage.chunk_id,
+      title: passage.title,
+      section: passage.heading,
+      pages: passage.pages || null,
+      url: passage.url
+    };
+  });
+
+  const unverifiedQuotes = spans.flatMap(span => span.quotes.filter(q => !q.verified));
+
+  return {
+    answer,
+    citations,
+    spans,
+    invalid,
+    verified: invalid.length === 0 && unverifiedQuotes.length === 0
+  };
+}
+
+// Moves span offsets after text has been put in front of the verified answer
+function shiftSpans(spans, offset) {
+  return spans.map(span => ({ ...span, start: span.start + offset, end: span.end + offset }));
+}
+
+module.exports = {
+  loadPolicyTexts,
+  shiftSpans,
+  stripMarkers,
+  verifyCitations
+};
@@ -0,0 +1,113 @@
+// Clarifying questions. When the retrieved passages give different rules for, say, full-time and
+// part-time students and the question doesn't say which applies, /api/ask asks instead of guessing.
+// The student's choice comes back as `clarifications: { <attribute>: <option value> }` and is
+// added to the question as a plain statement.
+
+const CLARIFY_ENABLED = process.env.CLARIFY_QUESTIONS !== 'false';
+
+// Only the best-ranked passages decide whether the answer branches
+const PASSAGES_CHECKED = 5;
+// After this many rounds the question is answered with whatever is known
+const MAX_ROUNDS = 2;
+
+// Checked in order; only the first unsettled attribute is asked about. Each option's `policy`
+// pattern finds the branch in the passages, `settles` finds it already stated in the question.
+const ATTRIBUTES = [
+  {
+    id: 'program',
+    prompt: 'Are you in the J.D. program or an LL.M. program?',
+    options: [
+      { value: 'jd', label: 'J.D.', statement: 'I am a J.D. student.', policy: /\bJ\.?D\.?\b|\bjuris doctor\b/i, settles: /\bj\.?d\.?\b|\bjuris doctor\b|\b[1-4]ls?\b/i },
+      { value: 'llm', label: 'LL.M.', statement: 'I am an LL.M. student.', policy: /\bLL\.?M\.?\b|\bmaster of laws\b/i, settles: /\bll\.?m\.?\b|\bmaster of laws\b|\binternational student\b/i }
+    ]
+  },
+  {
+    id: 'enrollment',
+    prompt: 'Are you a full-time (day) or part-time (evening) student?',
+    options: [
+      { value: 'full_time', label: 'Full-time (day)', statement: 'I am a full-time day student.', policy: /\bfull[- ]time\b|\bday (division|program|students?)\b/i, settles: /\bfull[- ]time\b|\bday (division|program|student)\b/i },
+      { value: 'part_time', label: 'Part-time (evening)', statement: 'I am a part-time evening student.', policy: /\bpart[- ]time\b|\bevening (division|program|students?)\b/i, settles: /\bpart[- ]time\b|\bevening\b/i }
+    ]
+  },
+  {
+    id: 'session',
+    prompt: 'Is this about a regular fall/spring semester class or an intersession class?',
+    options: [
+      { value: 'semester', label: 'Regular semester', statement: 'This is about a regular fall or spring semester class.', policy: /\b(fall|spring|regular) semester\b|\bsemester[- ]long\b/i, settles: /\bsemester\b|\bfall\b|\bspring\b/i },
+      { value: 'intersession', label: 'Intersession', statement: 'This is about an intersession class.', policy: /\bintersession\b/i, settles: /\bintersession\b|\bwinter session\b|\bj-?term\b/i }
+    ]
+  },
+  {
+    id: 'absence_length',
+    prompt: 'How long will you be (or were you) absent?',
+    options: [
+      { value: 'short', label: 'One or two days', statement: 'The absence is one or two days.', policy: /\b(one or two|1-2|1 or 2) days?\b|\bshort[- ]term absences?\b/i, settles: /\b(one|two|1|2|a) (class|day|session)e?s?\b|\b(a|one) class\b|\btoday\b|\btomorrow\b/i },
+      { value: 'extended', label: 'Three days or more', statement: 'The absence is three or more consecutive days.', policy: /\b(more than|over|exceed(ing)?) (three|3)\b|\b(three|3) (or more |consecutive )?days\b|\bextended absences?\b/i, settles: /\b([3-9]|three|four|five|several|multiple) (days|classes|weeks)\b|\b(a|one|two) weeks?\b|\bextended\b/i }
+    ],
+    // Only worth asking when the question is about missing class
+    appliesTo: /\b(absen(ce|t)|miss(ing|ed)?|sick|ill|out of town)\b/i
+  }
+];
+
+// An "answer generally" choice settles an attribute without adding a statement
+const ANY = 'any';
+
+function normalizeClarifications(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+  const clarifications = {};
+  for (const attribute of ATTRIBUTES) {
+    const choice = value[attribute.id];
+    if (choice === ANY || attribute.options.some(o => o.value === choice)) {
+      clarifications[attribute.id] = choice;
+    }
+  }
+  return clarifications;
+}
+
+// Sentences to add to the question for the choices made, e.g. "I am a part-time evening student."
+function clarificationStatements(clarifications) {
+  return ATTRIBUTES
+    .map(attribute => attribute.options.find(o => o.value === clarifications[attribute.id]))
+    .filter(Boolean)
+    .map(option => option.statement);
+}
+
+function withClarifications(question, clarifications) {
+  const statements = clarificationStatements(clarifications);
+  return statements.length > 0 ? `${question} ${statements.join(' ')}` : question;
+}
+
+// Returns { attribute, prompt, options: [{ value, label }] } when the passages branch on something
+// neither the question, the earlier turns nor the student's choices settle; otherwise null.
+// `context` is the question plus earlier questions in the conversation.
+function needsClarification(context, passages, clarifications = {}) {
+  if (!CLARIFY_ENABLED || passages.length === 0) return null;
+  if (Object.keys(clarifications).length >= MAX_ROUNDS) return null;
+
+  const text = passages.slice(0, PASSAGES_CHECKED).map(p => `${p.heading || ''} ${p.content}`).join('\n');
+
+  for (const attribute of ATTRIBUTES) {
+    if (clarifications[attribute.id]) continue;
+    if (attribute.appliesTo && !attribute.appliesTo.test(context)) continue;
+    if (attribute.options.some(o => o.settles.test(context))) continue;
+
+    const branches = attribute.options.filter(o => o.policy.test(text));
+    if (branches.length < 2) continue;
+
+    return {
+      attribute: attribute.id,
+      prompt: attribute.prompt,
+      options: [
+        ...attribute.options.map(o => ({ value: o.value, label: o.label })),
+        { value: ANY, label: 'Not sure / answer generally' }
+      ]
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  needsClarification,
+  normalizeClarifications,
+  withClarifications
+};
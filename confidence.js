@@ -0,0 +1,107 @@
+// Confidence scoring from retrieval, citation and fallback signals
+
+const RETRIEVAL_SCORE_TARGET = parseFloat(process.env.CONFIDENCE_RETRIEVAL_TARGET || '0.3');
+const HIGH_THRESHOLD = 0.7;
+const MEDIUM_THRESHOLD = 0.45;
+
+const WEIGHTS = { retrieval: 0.4, citations: 0.4, fallback: 0.2 };
+const WEB_PENALTY = 0.85;
+// Below this top retrieval score the passages are probably not about the question, so however
+// well the answer cites them it scores no better than a web-only answer
+const WEAK_RETRIEVAL_SCORE = parseFloat(process.env.CONFIDENCE_WEAK_RETRIEVAL || '0.2');
+const WEAK_RETRIEVAL_CAP = 0.6;
+const FALLBACK_PHRASES = ['should search', 'more complete information', "don't fully address"];
+
+function levelFor(score) {
+  if (score >= HIGH_THRESHOLD) return 'high';
+  if (score >= MEDIUM_THRESHOLD) return 'medium';
+  return 'low';
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Sentences that make a claim, ignoring the disclaimer and headings
+function countClaims(answer) {
+  const body = answer.split('⚠️')[0];
+  return body
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(s => s.trim())
+    .filter(s => s.split(/\s+/).length >= 4 && !s.endsWith(':'))
+    .length;
+}
+
+function usedFallbackPhrase(answer) {
+  return FALLBACK_PHRASES.some(phrase => answer.includes(phrase));
+}
+
+// Confidence for an answer generated from database passages. `modelAnswer` is the model's own
+// text (before any web results were appended), `verification` comes from verifyCitations.
+function scoreDatabaseAnswer({ passages, modelAnswer, verification, usedWeb = false }) {
+  const topScores = passages.slice(0, 3).map(p => p.score);
+  const retrieval = topScores.length
+    ? Math.min(1, (topScores[0] * 0.6 + (topScores.reduce((a, b) => a + b, 0) / topScores.length) * 0.4) / RETRIEVAL_SCORE_TARGET)
+    : 0;
+
+  const claims = countClaims(modelAnswer);
+  const supported = verification.spans.length;
+  const unverifiedQuotes = verification.spans.reduce((n, span) => n + span.quotes.filter(q => !q.verified).length, 0);
+  const citationPenalty = 0.15 * verification.invalid.length + 0.25 * unverifiedQuotes;
+  const citations = claims > 0
+    ? Math.max(0, Math.min(1, supported / claims) - citationPenalty)
+    : 0;
+
+  const fallback = usedFallbackPhrase(modelAnswer);
+
+  let score = WEIGHTS.retrieval * retrieval + WEIGHTS.citations * citations + WEIGHTS.fallback * (fallback ? 0 : 1);
+  if (usedWeb) score *= WEB_PENALTY;
+  const weakRetrieval = (topScores[0] || 0) < WEAK_RETRIEVAL_SCORE;
+  if (weakRetrieval) score = Math.min(score, WEAK_RETRIEVAL_CAP);
+  score = round(score);
+
+  return {
+    level: levelFor(score),
+    score,
+    components: {
+      retrieval: round(retrieval),
+      top_retrieval_score: round(topScores[0] || 0),
+      weak_retrieval: weakRetrieval,
+      claims,
+      supported_claims: supported,
+      citation_support: round(citations),
+      invalid_citations: verification.invalid.length,
+      unverified_quotes: unverifiedQuotes,
+      fallback_phrase: fallback,
+      web_used: usedWeb
+    }
+  };
+}
+
+// Confidence for an answer built only from web search results
+function scoreWebAnswer({ results }) {
+  const score = round(Math.min(0.6, 0.3 + 0.1 * results.length));
+  return {
+    level: levelFor(score),
+    score,
+    components: { web_only: true, web_results: results.length, web_used: true }
+  };
+}
+
+// Fixed, pre-written responses: fully confident when they're a deliberate answer (like routing
+// coursework to a professor), not at all when they're the "couldn't answer" fallback
+function scoreFixedAnswer({ answered }) {
+  const score = answered ? 1 : 0;
+  return {
+    level: levelFor(score),
+    score,
+    components: { fixed_response: true, answered }
+  };
+}
+
+module.exports = {
+  scoreDatabaseAnswer,
+  scoreFixedAnswer,
+  scoreWebAnswer,
+  usedFallbackPhrase
+};
@@ -0,0 +1,199 @@
+// Offices directory: the one place contact details live. Prompts, fixed responses and
+// disclaimers refer to offices by key ({{dean_of_students_email}}, contactLine('university_police'))
+// and are filled in from here when they're used, so a changed phone number is one edit.
+//
+// The directory is kept in memory and reloaded from the offices table at startup and after every
+// admin edit; until then the defaults below are used.
+
+const DEFAULT_OFFICES = [
+  {
+    key: 'dean_of_students',
+    name: 'Dean of Students Office',
+    email: 'LawDeanofStudents@suffolk.edu',
+    phone: '617-573-8157',
+    hours: null,
+    location: 'Suffolk University Law School, 120 Tremont Street, Boston',
+    url: 'https://www.suffolk.edu/law/academics-clinics/student-life',
+    notes: null,
+    topics: ['extended absences', 'exam emergencies', 'exam postponement', 'leaves of absence', 'accommodations', 'complaints', 'personal concerns']
+  },
+  {
+    key: 'academic_services',
+    name: 'Academic Services',
+    email: 'AcadServLaw@suffolk.edu',
+    phone: null,
+    hours: null,
+    location: 'Suffolk University Law School, 120 Tremont Street, Boston',
+    url: null,
+    notes: null,
+    topics: ['academic policies', 'registration', 'tutoring', 'writing assistance', 'study strategies', 'bar preparation']
+  },
+  {
+    key: 'law_library',
+    name: 'Law Library',
+    email: null,
+    phone: '617-573-8595',
+    hours: null,
+    location: 'Suffolk University Law School, 120 Tremont Street, Boston',
+    url: 'https://www.suffolk.edu/law/faculty-research/about-the-library/library-study-rooms',
+    notes: null,
+    topics: ['study rooms', 'library services', 'research help']
+  },
+  {
+    key: 'university_police',
+    name: 'Suffolk University Police',
+    email: null,
+    phone: '617-573-8111',
+    hours: '24/7',
+    location: null,
+    url: null,
+    notes: 'emergencies',
+    topics: ['emergencies', 'campus safety']
+  },
+  {
+    key: 'counseling',
+    name: 'Suffolk University Counseling, Health and Wellness',
+    email: null,
+    phone: null,
+    hours: null,
+    location: null,
+    url: null,
+    notes: 'the Dean of Students Office can connect you the same day',
+    topics: ['mental health', 'counseling', 'wellness']
+  },
+  {
+    key: 'crisis_line',
+    name: '988 Suicide & Crisis Lifeline',
+    email: null,
+    phone: '988',
+    hours: '24/7',
+    location: null,
+    url: 'https://988lifeline.org',
+    notes: 'call or text, 24/7',
+    topics: ['crisis', 'suicide prevention']
+  }
+];
+
+const FIELDS = ['name', 'email', 'phone', 'hours', 'location', 'url', 'notes', 'topics'];
+
+let directory = new Map(DEFAULT_OFFICES.map(o => [o.key, o]));
+
+async function ensureContactTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS offices (
+      id SERIAL PRIMARY KEY,
+      key VARCHAR(50) UNIQUE NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      email VARCHAR(255),
+      phone VARCHAR(50),
+      hours TEXT,
+      location TEXT,
+      url TEXT,
+      notes TEXT,
+      topics TEXT NOT NULL DEFAULT '[]',
+      sort_order INTEGER DEFAULT 0,
+      last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  for (const [i, o] of DEFAULT_OFFICES.entries()) {
+    await pool.query(`
+      INSERT INTO offices (key, name, email, phone, hours, location, url, notes, topics, sort_order)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (key) DO NOTHING
+    `, [o.key, o.name, o.email, o.phone, o.hours, o.location, o.url, o.notes, JSON.stringify(o.topics), i]);
+  }
+
+  await loadContacts(pool);
+}
+
+async function loadContacts(pool) {
+  const result = await pool.query(`
+    SELECT key, name, email, phone, hours, location, url, notes, topics, last_updated
+    FROM offices ORDER BY sort_order, name
+  `);
+  directory = new Map(result.rows.map(row => [row.key, { ...row, topics: JSON.parse(row.topics) }]));
+  return listContacts();
+}
+
+// Optionally only offices handling a topic ("exam" matches "exam emergencies")
+function listContacts({ topic = null } = {}) {
+  const offices = [...directory.values()];
+  if (!topic) return offices;
+  const needle = topic.toLowerCase();
+  return offices.filter(o => o.topics.some(t => t.toLowerCase().includes(needle)) || o.name.toLowerCase().includes(needle));
+}
+
+function getContact(key) {
+  return directory.get(key) || DEFAULT_OFFICES.find(o => o.key === key) || null;
+}
+
+// "Dean of Students Office: LawDeanofStudents@suffolk.edu or 617-573-8157"
+function contactLine(key) {
+  const office = getContact(key);
+  if (!office) return '';
+  const reach = [office.email, office.phone].filter(Boolean).join(' or ');
+  const detail = reach && office.notes ? `${reach} (${office.notes})` : reach || office.notes;
+  return detail ? `${office.name}: ${detail}` : office.name;
+}
+
+// {{<key>_email}}, {{<key>_phone}} and {{<key>_name}} for every office, plus {{contacts}}, the
+// whole directory as a list for prompts
+function contactPlaceholders() {
+  const values = {};
+  for (const office of directory.values()) {
+    values[`${office.key}_name`] = office.name;
+    values[`${office.key}_email`] = office.email || '';
+    values[`${office.key}_phone`] = office.phone || '';
+  }
+  values.contacts = [...directory.keys()].map(key => `- ${contactLine(key)}`).join('\n');
+  return values;
+}
+
+// Fills contact placeholders in fixed text; anything else in braces is left alone
+function fillContacts(text) {
+  const values = contactPlaceholders();
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (whole, key) => (values[key] !== undefined ? values[key] : whole));
+}
+
+// Partial update; returns the updated office or null if there's no office with that key
+async function updateContact(pool, key, changes) {
+  const sets = [];
+  const params = [];
+  for (const field of FIELDS) {
+    if (changes[field] === undefined) continue;
+    if (field === 'topics' && !Array.isArray(changes.topics)) {
+      const err = new Error('topics must be an array of strings');
+      err.status = 400;
+      throw err;
+    }
+    params.push(field === 'topics' ? JSON.stringify(changes.topics) : changes[field]);
+    sets.push(`${field} = $${params.length}`);
+  }
+  if (sets.length === 0) {
+    const err = new Error(`Nothing to update; fields are ${FIELDS.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+
+  params.push(key);
+  const result = await pool.query(
+    `UPDATE offices SET ${sets.join(', ')}, last_updated = CURRENT_TIMESTAMP WHERE key = $${params.length} RETURNING key`,
+    params
+  );
+  if (result.rowCount === 0) return null;
+
+  await loadContacts(pool);
+  return getContact(key);
+}
+
+module.exports = {
+  contactLine,
+  contactPlaceholders,
+  ensureContactTables,
+  fillContacts,
+  getContact,
+  listContacts,
+  loadContacts,
+  updateContact
+};
@@ -0,0 +1,112 @@
+// Multi-turn conversations: each turn is a qa_interactions row tagged with its conversation_id
+
+const crypto = require('crypto');
+const { stripMarkers } = require('./citations');
+const { stripDisclaimer } = require('./language');
+
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.CONVERSATION_HISTORY_TOKENS || '1500', 10);
+
+// Openers and pronouns that only make sense against an earlier question
+const FOLLOW_UP_PATTERN = /^(what|how) about\b|^(and|also|but|what if|same)\b|\b(it|that|this|they|them|those|these)\b/i;
+
+async function ensureConversationTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS conversations (
+      id VARCHAR(36) PRIMARY KEY,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_active TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await pool.query(`
+    ALTER TABLE qa_interactions
+    ADD COLUMN IF NOT EXISTS conversation_id VARCHAR(36) REFERENCES conversations(id) ON DELETE CASCADE
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_qa_interactions_conversation ON qa_interactions(conversation_id)`);
+}
+
+// Resumes the given conversation, or starts a new one if it's missing or unknown
+async function getOrCreateConversation(pool, conversationId) {
+  if (conversationId) {
+    const result = await pool.query(
+      'UPDATE conversations SET last_active = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [conversationId]
+    );
+    if (result.rows.length > 0) return result.rows[0];
+  }
+
+  const result = await pool.query(
+    'INSERT INTO conversations (id) VALUES ($1) RETURNING *',
+    [crypto.randomUUID()]
+  );
+  return result.rows[0];
+}
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// Most recent turns that fit in the token budget, oldest first
+async function loadHistory(pool, conversationId, { tokenBudget = HISTORY_TOKEN_BUDGET } = {}) {
+  const result = await pool.query(`
+    SELECT id, question, answer, created_at FROM qa_interactions
+    WHERE conversation_id = $1
+    ORDER BY created_at DESC, id DESC
+  `, [conversationId]);
+
+  const turns = [];
+  let used = 0;
+  for (const row of result.rows) {
+    // Citation numbers only mean something against that turn's own context
+    const answer = stripMarkers(stripDisclaimer(row.answer)).trim();
+    const cost = estimateTokens(row.question) + estimateTokens(answer);
+    if (used + cost > tokenBudget) break;
+    turns.unshift({ id: row.id, question: row.question, answer, created_at: row.created_at });
+    used += cost;
+  }
+  return turns;
+}
+
+function historyMessages(turns) {
+  return turns.flatMap(turn => [
+    { role: 'user', content: turn.question },
+    { role: 'assistant', content: turn.answer }
+  ]);
+}
+
+// Folds the previous question into short or referential follow-ups ("what about intersession
+// courses?") so retrieval still sees the topic the student is asking about.
+function rewriteQuery(question, turns) {
+  if (turns.length === 0) return question;
+
+  const isFollowUp = FOLLOW_UP_PATTERN.test(question.trim()) || question.trim().split(/\s+/).length < 6;
+  if (!isFollowUp) return question;
+
+  return `${question} ${turns[turns.length - 1].question}`;
+}
+
+async function getConversationTurns(pool, conversationId) {
+  const result = await pool.query(`
+    SELECT id, question, answer, sources, confidence, citations, is_emergency, emergency_type, language, clarification, created_at
+    FROM qa_interactions
+    WHERE conversation_id = $1
+    ORDER BY created_at, id
+  `, [conversationId]);
+
+  return result.rows.map(row => ({
+    ...row,
+    sources: row.sources ? JSON.parse(row.sources) : [],
+    citations: row.citations ? JSON.parse(row.citations) : [],
+    emergency: row.is_emergency ? { type: row.emergency_type } : null,
+    language: row.language || 'en',
+    clarification: row.clarification ? JSON.parse(row.clarification) : null
+  }));
+}
+
+module.exports = {
+  ensureConversationTables,
+  getConversationTurns,
+  getOrCreateConversation,
+  historyMessages,
+  loadHistory,
+  rewriteQuery
+};
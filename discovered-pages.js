@@ -0,0 +1,145 @@
+// Queue of suffolk.edu pages the web search fallback read that aren't tracked in policies yet.
+// Admins review the queue and promote useful pages into policies, or dismiss them.
+
+const { generateSummary } = require('./page-extract');
+
+const QUEUE_HOST = /(^|\.)suffolk\.edu$/i;
+const MAX_CONTENT_LENGTH = 12000;
+
+async function ensureDiscoveredPagesTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS discovered_pages (
+      id SERIAL PRIMARY KEY,
+      url TEXT UNIQUE NOT NULL,
+      title TEXT,
+      content TEXT,
+      first_question TEXT,
+      times_seen INTEGER DEFAULT 1,
+      status VARCHAR(20) DEFAULT 'pending',
+      policy_id INTEGER REFERENCES policies(id) ON DELETE SET NULL,
+      first_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_discovered_pages_status ON discovered_pages(status)`);
+}
+
+// Fragments, query strings and trailing slashes don't make a different page
+function normalizeUrl(link) {
+  const url = new URL(link);
+  url.hash = '';
+  url.search = '';
+  return url.toString().replace(/\/$/, '');
+}
+
+function isQueueable(link) {
+  try {
+    return QUEUE_HOST.test(new URL(link).hostname);
+  } catch (err) {
+    return false;
+  }
+}
+
+// Compared without fragment, query or trailing slashes; the prefix match just narrows the rows
+async function isTracked(pool, url) {
+  const result = await pool.query('SELECT source_url FROM policies WHERE source_url LIKE $1', [`${url}%`]);
+  return result.rows.some(row => row.source_url.split('#')[0].split('?')[0].replace(/\/+$/, '') === url);
+}
+
+// Records fetched pages ({ url, title, content }) that aren't already policies. Pages seen again
+// get their count and text refreshed; dismissed pages stay dismissed.
+async function queueDiscoveredPages(pool, pages, question) {
+  let queued = 0;
+  for (const page of pages) {
+    if (!page.content || !isQueueable(page.url)) continue;
+
+    const url = normalizeUrl(page.url);
+    if (await isTracked(pool, url)) continue;
+
+    await pool.query(`
+      INSERT INTO discovered_pages (url, title, content, first_question)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (url) DO UPDATE SET
+        times_seen = discovered_pages.times_seen + 1,
+        last_seen = CURRENT_TIMESTAMP,
+        title = EXCLUDED.title,
+        content = EXCLUDED.content
+    `, [url, page.title, page.content.substring(0, MAX_CONTENT_LENGTH), question]);
+    queued++;
+  }
+  return queued;
+}
+
+async function listDiscoveredPages(pool, { status = 'pending', limit = 50 } = {}) {
+  const result = await pool.query(`
+    SELECT id, url, title, substr(content, 1, 300) AS preview, first_question, times_seen, status, policy_id, first_seen, last_seen
+    FROM discovered_pages
+    WHERE ($1::text = 'all' OR status = $1)
+    ORDER BY times_seen DESC, last_seen DESC
+    LIMIT $2
+  `, [status, limit]);
+  return result.rows;
+}
+
+// Same URL-based category guess the crawler uses
+function categoryFromUrl(url) {
+  if (url.includes('student-life')) return 'student-services';
+  if (url.includes('library')) return 'library';
+  if (url.includes('course')) return 'curriculum';
+  if (url.includes('clinic')) return 'clinics';
+  return 'academic';
+}
+
+// Copies a queued page into policies so it is searched, chunked and refreshed like any other
+// source. Returns the new policy, or null if the page isn't in the queue.
+async function promoteDiscoveredPage(pool, id, { title, category } = {}) {
+  const found = await pool.query('SELECT * FROM discovered_pages WHERE id = $1', [id]);
+  if (found.rows.length === 0) return null;
+  const page = found.rows[0];
+
+  const url = new URL(page.url);
+  const externalId = 'discovered-' + url.pathname.split('/').filter(Boolean).slice(-2).join('-').substring(0, 80);
+  const policyTitle = title || page.title;
+
+  const inserted = await pool.query(`
+    INSERT INTO policies (external_id, title, category, content, summary, source_url, source_name)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (external_id) DO UPDATE SET
+      title = EXCLUDED.title,
+      category = EXCLUDED.category,
+      content = EXCLUDED.content,
+      summary = EXCLUDED.summary,
+      source_url = EXCLUDED.source_url,
+      is_active = true,
+      last_updated = CURRENT_TIMESTAMP
+    RETURNING id, external_id, title, category, source_url
+  `, [
+    externalId,
+    policyTitle,
+    category || categoryFromUrl(page.url),
+    page.content,
+    generateSummary(page.content),
+    page.url,
+    policyTitle
+  ]);
+  const policy = inserted.rows[0];
+
+  await pool.query(
+    `UPDATE discovered_pages SET status = 'promoted', policy_id = $1 WHERE id = $2`,
+    [policy.id, id]
+  );
+  return policy;
+}
+
+async function dismissDiscoveredPage(pool, id) {
+  const result = await pool.query(`UPDATE discovered_pages SET status = 'dismissed' WHERE id = $1`, [id]);
+  return result.rowCount;
+}
+
+module.exports = {
+  dismissDiscoveredPage,
+  ensureDiscoveredPagesTables,
+  listDiscoveredPages,
+  promoteDiscoveredPage,
+  queueDiscoveredPages
+};
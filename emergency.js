@@ -0,0 +1,110 @@
+// Emergency and crisis detection. Runs before retrieval so urgent questions get a fixed,
+// reviewed response immediately instead of a generated one.
+
+const { contactLine, getContact } = require('./contacts');
+
+// Read from the offices directory each time, so an updated number shows up immediately
+function contacts() {
+  return {
+    police: contactLine('university_police'),
+    dean: contactLine('dean_of_students'),
+    crisisLine: contactLine('crisis_line'),
+    counseling: contactLine('counseling')
+  };
+}
+
+// Someone actually in the situation, as opposed to "what is the exam emergency policy?"
+const PERSONAL = /\b(i|i'?m|i'?ve|me|my|we|we'?re|our|someone|somebody|classmate|friend|roommate|he|she|they)\b/i;
+
+// Happening now, as opposed to "I missed my exam because I was in the hospital"
+const URGENT = /\b(now|right now|currently|at the moment|in the middle of|during (my|the|this) (exam|final|test)|i'?m (in|at|having|being)|i am (in|at|having|being)|(is|are) (having|in)|just (collapsed|fainted)|need help)\b/i;
+
+// Checked in order; the first type that matches wins. Crisis language always counts; the other
+// types also need the question to be about someone in particular, and exam_medical needs it to
+// be happening now.
+const DETECTORS = [
+  {
+    type: 'crisis',
+    pattern: /\b(suicid(e|al)|kill(ing)? myself|end (it all|my life)|hurt(ing)? myself|self[- ]harm|(don'?t|do not) want to (live|be alive)|no reason to live|overdos(e|ing)|(i'?m|i am|we'?re) in (a )?crisis)\b/i
+  },
+  {
+    // Urgent whoever it's about
+    type: 'safety',
+    pattern: /\b(active shooter|there('?s| is) a fire)\b/i
+  },
+  {
+    type: 'safety',
+    personal: true,
+    pattern: /\b(in danger|unsafe|being (followed|stalked|threatened)|someone (is )?(threatening|following) me|assault(ed)?|attacked|weapon|gun|active shooter|fire in the)\b/i
+  },
+  {
+    type: 'exam_medical',
+    personal: true,
+    urgent: true,
+    pattern: /\b((medical )?emergency|ambulance|hospital|er|collapsed?|faint(ed)?|seizure|chest pain|can'?t breathe)\b.{0,60}\b(exam|final|test)\b|\b(exam|final|test)\b.{0,60}\b((medical )?emergency|ambulance|hospital|collapsed?|faint(ed)?|seizure|chest pain|can'?t breathe)\b/i
+  },
+  {
+    type: 'medical',
+    personal: true,
+    pattern: /\b(medical emergency|call(ing)? 911|ambulance|unconscious|not breathing|can'?t breathe|chest pain|heart attack|seizure|bleeding (badly|heavily)|collapsed)\b/i
+  }
+];
+
+const RESPONSES = {
+  crisis: (c, dean) => `You don't have to go through this alone, and help is available right now.
+
+- ${c.crisisLine}
+- If you are in immediate danger, call 911 or ${c.police}
+- ${c.counseling}
+- ${c.dean}
+
+If you can, reach out to someone you trust and stay with them.`,
+
+  safety: (c, dean) => `If you are in danger right now, get to a safe place and call 911 or ${c.police}.
+
+- ${c.police}
+- ${c.dean}
+- ${c.counseling}`,
+
+  exam_medical: (c, dean) => `If this is a medical emergency, call 911 or ${c.police} first.
+
+Once you are safe, contact the Dean of Students Office (${[dean.email, dean.phone].filter(Boolean).join(' or ')}) about the exam. Because of exam anonymity, do not contact your professor. The Dean of Students Office will handle the exam conflict for you.
+
+- ${c.counseling}`,
+
+  medical: (c, dean) => `If this is a medical emergency, call 911 or ${c.police} right away.
+
+- ${c.police}
+- ${c.dean}
+- ${c.counseling}`,
+
+  general: (c, dean) => `If this is an emergency, call 911 or ${c.police} right away.
+
+- ${c.dean}
+- ${c.counseling}
+- ${c.crisisLine}`
+};
+
+const NOTE = '⚠️ This is an automated response. For anything urgent, please call the numbers above rather than waiting for a reply online.';
+
+// Returns { type, matched } when the question looks urgent, otherwise null
+function detectEmergency(question) {
+  for (const detector of DETECTORS) {
+    const match = question.match(detector.pattern);
+    if (!match) continue;
+    if (detector.personal && !PERSONAL.test(question)) continue;
+    if (detector.urgent && !URGENT.test(question)) continue;
+    return { type: detector.type, matched: match[0] };
+  }
+  return null;
+}
+
+function emergencyResponse(type) {
+  const response = RESPONSES[type] || RESPONSES.general;
+  return `${response(contacts(), getContact('dean_of_students'))}\n\n${NOTE}`;
+}
+
+module.exports = {
+  detectEmergency,
+  emergencyResponse
+};
@@ -0,0 +1,153 @@
+// Law-school glossary: shorthand students use ("LOA", "AAL", "1L") mapped to the terms the
+// policies spell out, with a short definition and the policies that cover each term.
+// expandQuery() adds the spelled-out forms to a question before retrieval and lists the policies
+// linked to the terms it found, which retrieval boosts.
+
+const DEFAULT_TERMS = [
+  {
+    term: 'Leave of Absence',
+    aliases: ['LOA', 'leave of absence', 'take a leave', 'medical leave'],
+    definition: 'A period, approved by the Dean of Students, during which a student is not enrolled but keeps their place in the J.D. program.',
+    policies: ['leave-of-absence-voluntary', 'dean-of-students']
+  },
+  {
+    term: 'Applicable Absence Limitation',
+    aliases: ['AAL', 'absence limit', 'absence limitation', 'max absences', 'maximum absences'],
+    definition: 'The most class sessions a student may miss in a course; exceeding it can lead to being withdrawn from the course.',
+    policies: ['absence-limitation-exceeded', 'attendance-tracking', 'absence-extended']
+  },
+  {
+    term: 'Satisfactory Academic Progress',
+    aliases: ['SAP'],
+    definition: 'The GPA and credit-completion standards a student must meet to remain in good academic standing and eligible for financial aid.',
+    policies: ['academic-rules']
+  },
+  {
+    term: 'Add/Drop Period',
+    aliases: ['add/drop', 'add drop', 'drop/add', 'drop a class', 'add a class'],
+    definition: 'The window at the start of each semester when students can add or drop courses without a withdrawal on their transcript.',
+    policies: ['course-registration']
+  },
+  {
+    term: 'First-Year Student',
+    aliases: ['1L', '1Ls', 'first year', 'first-year'],
+    definition: 'A student in the first year of the J.D. program. Second- and third-year students are 2Ls and 3Ls.',
+    policies: ['academic-rules']
+  },
+  {
+    term: 'Upper-Level Student',
+    aliases: ['2L', '2Ls', '3L', '3Ls', '4L', 'upper level', 'upper-level'],
+    definition: 'A J.D. student past the first year. Evening students may be 4Ls.',
+    policies: ['academic-rules', 'course-registration']
+  },
+  {
+    term: 'ExamSoft',
+    aliases: ['ExamSoft', 'Examplify', 'exam software', 'laptop exam'],
+    definition: 'The exam software used to take written exams on a laptop. It must be installed and registered before the exam period.',
+    policies: ['exam-regulations']
+  },
+  {
+    term: 'Exam Postponement',
+    aliases: ['postpone an exam', 'reschedule an exam', 'exam conflict', 'exam deferral', 'defer an exam'],
+    definition: 'Moving a final exam to another time, for example for two exams on one day or an emergency. Requests go to the Dean of Students Office.',
+    policies: ['exam-postponement', 'exam-emergency']
+  },
+  {
+    term: 'Academic Accommodations',
+    aliases: ['accommodations', 'ADA accommodations', 'extra time', 'disability services'],
+    definition: 'Adjustments such as extended exam time, granted through the accommodations process for students with documented disabilities.',
+    policies: ['academic-accommodations', 'exam-accommodations']
+  },
+  {
+    term: 'Intersession',
+    aliases: ['intersession', 'winter session', 'J-term'],
+    definition: 'The short session between the fall and spring semesters, with its own, stricter attendance rules.',
+    policies: ['intersession-attendance']
+  }
+];
+
+async function ensureGlossaryTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS glossary_terms (
+      id SERIAL PRIMARY KEY,
+      term VARCHAR(255) UNIQUE NOT NULL,
+      aliases TEXT NOT NULL DEFAULT '[]',
+      definition TEXT NOT NULL,
+      policies TEXT NOT NULL DEFAULT '[]',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  for (const t of DEFAULT_TERMS) {
+    await pool.query(`
+      INSERT INTO glossary_terms (term, aliases, definition, policies)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (term) DO NOTHING
+    `, [t.term, JSON.stringify(t.aliases), t.definition, JSON.stringify(t.policies)]);
+  }
+}
+
+async function loadTerms(pool) {
+  const result = await pool.query('SELECT id, term, aliases, definition, policies FROM glossary_terms ORDER BY term');
+  return result.rows.map(row => ({
+    ...row,
+    aliases: JSON.parse(row.aliases),
+    policies: JSON.parse(row.policies)
+  }));
+}
+
+// Each term with its linked policies resolved to { external_id, title, url }; links to
+// policies that aren't in the database (or are inactive) are left out
+async function getGlossary(pool) {
+  const terms = await loadTerms(pool);
+  const policies = await pool.query('SELECT external_id, title, source_url FROM policies WHERE is_active = true');
+  const byExternalId = new Map(policies.rows.map(p => [p.external_id, p]));
+
+  return terms.map(term => ({
+    ...term,
+    policies: term.policies
+      .filter(id => byExternalId.has(id))
+      .map(id => ({ external_id: id, title: byExternalId.get(id).title, url: byExternalId.get(id).source_url }))
+  }));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word, case-insensitive; "/" and "-" in an alias also match a space ("add drop")
+function aliasPattern(alias) {
+  const body = alias.split(/[\s/-]+/).map(escapeRegExp).join('[\\s/-]+');
+  return new RegExp(`(^|[^a-z0-9])${body}(?=$|[^a-z0-9])`, 'i');
+}
+
+// Appends the spelled-out term for any shorthand in the question. Returns { query, matched,
+// policies }, policies being the external ids linked to the matched terms.
+function expandQuery(question, glossary) {
+  const additions = [];
+  const matched = [];
+  const policies = new Set();
+
+  for (const entry of glossary) {
+    const forms = [entry.term, ...entry.aliases];
+    const hit = forms.find(form => aliasPattern(form).test(question));
+    if (!hit) continue;
+
+    matched.push({ term: entry.term, matched: hit });
+    entry.policies.forEach(id => policies.add(id));
+    if (!aliasPattern(entry.term).test(question)) additions.push(entry.term);
+  }
+
+  return {
+    query: additions.length > 0 ? `${question} ${additions.join(' ')}` : question,
+    matched,
+    policies: [...policies]
+  };
+}
+
+module.exports = {
+  ensureGlossaryTables,
+  expandQuery,
+  getGlossary,
+  loadTerms
+};
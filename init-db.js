@@ -1,46 +1,15 @@
 require('dotenv').config();
-const { Pool } = require('pg');
+const { createStorage, ensurePolicyTables } = require('./storage');
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
+const pool = createStorage();
 
-console.log('🗄️  Initializing PostgreSQL Database for Suffolk Law...\n');
+console.log(`🗄️  Initializing ${pool.description} database for Suffolk Law...\n`);
 
 async function initDatabase() {
   try {
-    // Create policies table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS policies (
-        id SERIAL PRIMARY KEY,
-        external_id VARCHAR(255) UNIQUE NOT NULL,
-        title TEXT NOT NULL,
-        category VARCHAR(100) NOT NULL,
-        content TEXT NOT NULL,
-        summary TEXT,
-        source_url TEXT,
-        source_name TEXT,
-        is_active BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('✅ Policies table created/verified');
-
-    // Create index on external_id for faster lookups
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_policies_external_id 
-      ON policies(external_id)
-    `);
-    console.log('✅ Index on external_id created');
-
-    // Create index on category for filtering
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_policies_category 
-      ON policies(category)
-    `);
-    console.log('✅ Index on category created');
+    // Create policies table and its external_id and category indexes
+    await ensurePolicyTables(pool);
+    console.log('✅ Policies table and indexes created/verified');
 
     // Create Q&A interactions table
     await pool.query(`
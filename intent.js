@@ -0,0 +1,181 @@
+// Intent classification for incoming questions: keyword rules plus a small naive Bayes model
+// trained on the examples below. Everything runs locally, so results are deterministic.
+
+const { fillContacts } = require('./contacts');
+
+const INTENTS = ['policy_question', 'coursework', 'out_of_scope', 'emergency', 'complaint_feedback'];
+
+// Below this the classifier isn't sure, and the question is treated as a policy question
+const MIN_CONFIDENCE = 0.45;
+const RULE_WEIGHT = 0.6;
+
+const RULES = [
+  { intent: 'policy_question', weight: 1, pattern: /\b(polic(y|ies)|rules?|regulations?|deadlines?|register|registration|enroll(ment)?|hold|absences?|absent|attendance|exams?|accommodations?|dean|library|leave of absence|withdraw(al)?|grades?|grading|gpa|probation|transcripts?|tuition|financial aid|add\/drop|credits?|graduat(e|ion)|study rooms?|examsoft)\b/i },
+  { intent: 'policy_question', weight: 0.5, pattern: /\b(am i allowed|can i|do i need to|who do i contact|how do i (request|register|apply|get|find|book))\b/i },
+  { intent: 'coursework', weight: 1.5, pattern: /\b(homework|problem sets?|case briefs?|brief (this|the|a) case|fact pattern|hypo(thetical)?s?|practice (question|exam answer)|my (essay|memo|paper|outline|brief))\b/i },
+  { intent: 'coursework', weight: 1, pattern: /\b(solve|answer|analy[sz]e|grade|check)\b.{0,40}\b(question|problem|hypo|exercise|assignment|essay|memo)\b/i },
+  { intent: 'coursework', weight: 1, pattern: /\b(what is the (holding|rule statement)|elements of (negligence|a contract|battery|adverse possession)|is (this|there) (a valid|an enforceable) (contract|claim))\b/i },
+  { intent: 'emergency', weight: 2, pattern: /\b(medical emergency|having an? emergency|this is an emergency|call(ing)? 911|ambulance|suicid(e|al)|kill myself|hurt myself|self[- ]harm|overdos(e|ing)|unsafe|in danger|assault(ed)?|being followed|bleeding|unconscious|chest pain|heart attack|seizure|(i'?m|i am) in (a )?crisis)\b/i },
+  { intent: 'complaint_feedback', weight: 1.5, pattern: /\b(complain(t)?|feedback|unfair|frustrat(ed|ing)|disappointed|suggestion|report a (problem|bug|concern)|this (tool|app|bot|site) (is|was|keeps|gave))\b/i },
+  { intent: 'out_of_scope', weight: 1.5, pattern: /\b(weather|recipe|sports?|stocks?|bitcoin|crypto|movies?|songs?|jokes?|poem|horoscope|dating|restaurant)\b/i }
+];
+
+const TRAINING = {
+  policy_question: [
+    'what is the attendance policy',
+    'how many absences am i allowed',
+    'how do i postpone an exam',
+    'how do i request academic accommodations',
+    'how do i solve a registration hold',
+    'when is the add drop deadline',
+    'can i record a class if i am absent',
+    'how do i book a library study room',
+    'what happens if i exceed the absence limit',
+    'how do i take a leave of absence',
+    'who do i contact about exam accommodations',
+    'what gpa do i need to stay in good standing',
+    'how do i register for courses',
+    'what are the graduation requirements for the jd'
+  ],
+  coursework: [
+    'solve this contracts hypo for me',
+    'can you answer this torts practice question',
+    'help me with my homework',
+    'write my legal writing memo',
+    'brief this case for me',
+    'what are the elements of negligence',
+    'is there a valid contract in this fact pattern',
+    'check my essay answer for civil procedure',
+    'explain the holding of pennoyer v neff',
+    'analyze this property problem about adverse possession'
+  ],
+  out_of_scope: [
+    'what is the weather in boston today',
+    'tell me a joke',
+    'who won the game last night',
+    'give me a recipe for dinner',
+    'should i buy bitcoin',
+    'recommend a good movie',
+    'write me a poem',
+    'what restaurants are near campus'
+  ],
+  emergency: [
+    'i am having a medical emergency during my exam',
+    'someone collapsed in the classroom',
+    'i feel unsafe and someone is following me',
+    'i want to hurt myself',
+    'i am in crisis and need help now',
+    'there is a fire in the building',
+    'my friend is unconscious'
+  ],
+  complaint_feedback: [
+    'i want to file a complaint about a professor',
+    'this tool gave me a wrong answer',
+    'i have feedback about the app',
+    'the registration process is unfair and frustrating',
+    'i want to report a problem with the website',
+    'suggestion for improving this tool'
+  ]
+};
+
+function tokenize(text) {
+  return text.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(w => w.length > 1);
+}
+
+function train(examples) {
+  const model = { counts: {}, totals: {}, docs: {}, vocabulary: new Set(), totalDocs: 0 };
+  for (const intent of INTENTS) {
+    model.counts[intent] = {};
+    model.totals[intent] = 0;
+    model.docs[intent] = examples[intent].length;
+    model.totalDocs += examples[intent].length;
+    for (const example of examples[intent]) {
+      for (const token of tokenize(example)) {
+        model.counts[intent][token] = (model.counts[intent][token] || 0) + 1;
+        model.totals[intent]++;
+        model.vocabulary.add(token);
+      }
+    }
+  }
+  return model;
+}
+
+const MODEL = train(TRAINING);
+
+function softmax(logs) {
+  const max = Math.max(...Object.values(logs));
+  const exps = Object.fromEntries(Object.entries(logs).map(([k, v]) => [k, Math.exp(v - max)]));
+  const sum = Object.values(exps).reduce((a, b) => a + b, 0);
+  return Object.fromEntries(Object.entries(exps).map(([k, v]) => [k, v / sum]));
+}
+
+// Naive Bayes posterior over intents, with Laplace smoothing
+function classifierScores(question) {
+  const tokens = tokenize(question).filter(t => MODEL.vocabulary.has(t));
+  const vocabularySize = MODEL.vocabulary.size;
+  const logs = {};
+  for (const intent of INTENTS) {
+    let log = Math.log(MODEL.docs[intent] / MODEL.totalDocs);
+    for (const token of tokens) {
+      log += Math.log(((MODEL.counts[intent][token] || 0) + 1) / (MODEL.totals[intent] + vocabularySize));
+    }
+    logs[intent] = log;
+  }
+  return softmax(logs);
+}
+
+function ruleScores(question) {
+  const raw = Object.fromEntries(INTENTS.map(intent => [intent, 0]));
+  const matched = [];
+  for (const rule of RULES) {
+    const match = question.match(rule.pattern);
+    if (match) {
+      raw[rule.intent] += rule.weight;
+      matched.push({ intent: rule.intent, text: match[0] });
+    }
+  }
+  const total = Object.values(raw).reduce((a, b) => a + b, 0);
+  const scores = Object.fromEntries(INTENTS.map(intent => [intent, total > 0 ? raw[intent] / total : 0]));
+  return { scores, matched, total };
+}
+
+// Returns { intent, confidence, scores, matched_rules }
+function classifyIntent(question) {
+  const classifier = classifierScores(question);
+  const rules = ruleScores(question);
+  const ruleWeight = rules.total > 0 ? RULE_WEIGHT : 0;
+
+  const scores = {};
+  for (const intent of INTENTS) {
+    scores[intent] = Math.round((ruleWeight * rules.scores[intent] + (1 - ruleWeight) * classifier[intent]) * 1000) / 1000;
+  }
+
+  let [intent, confidence] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  if (intent !== 'policy_question' && confidence < MIN_CONFIDENCE) {
+    intent = 'policy_question';
+    confidence = scores.policy_question;
+  }
+
+  return { intent, confidence, scores, matched_rules: rules.matched };
+}
+
+const DISCLAIMER = '⚠️ Please note: This tool can make mistakes. Verify with actual Suffolk Law policies or contact {{academic_services_email}} or {{dean_of_students_email}}.';
+
+// Fixed responses for intents that don't go through retrieval. policy_question has none, and
+// emergency is answered by the reviewed responses in emergency.js. Contact placeholders are
+// filled from the offices directory when a response is used.
+const INTENT_RESPONSES = {
+  coursework: `This is the kind of question that is best directed to your professor. I can help with Suffolk Law policies and procedures, but not with coursework, practice questions or legal analysis.\n\n${DISCLAIMER}`,
+  out_of_scope: `This question is outside my scope. I can answer questions about Suffolk Law School's policies, rules and procedures, such as attendance, exams, registration, accommodations and the law library.\n\n${DISCLAIMER}`,
+  complaint_feedback: `Thank you for sharing this. Concerns and complaints about courses, staff or school processes are handled by the Dean of Students Office: {{dean_of_students_email}} or {{dean_of_students_phone}}. If your feedback is about an answer from this tool, please include the question you asked so it can be reviewed.\n\n${DISCLAIMER}`
+};
+
+function intentResponse(intent) {
+  return INTENT_RESPONSES[intent] ? fillContacts(INTENT_RESPONSES[intent]) : null;
+}
+
+module.exports = {
+  INTENTS,
+  classifyIntent,
+  intentResponse
+};
@@ -0,0 +1,121 @@
+// Language support: detect the question's language, translate it to English for retrieval and
+// the English-only detectors, and the fixed per-language strings added to answers.
+//
+// Disclaimers and notices here are reviewed translations and are always used as-is; the model's
+// own disclaimer is replaced with them so legal wording never comes from generated text. Their
+// contact addresses come from the offices directory.
+
+const { fillContacts } = require('./contacts');
+
+const LANGUAGES = {
+  en: { name: 'English' },
+  es: { name: 'Spanish' },
+  pt: { name: 'Portuguese' },
+  zh: { name: 'Chinese (Simplified)' }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+const DISCLAIMERS = {
+  en: '⚠️ Please note: This tool can make mistakes. Verify with actual Suffolk Law policies or contact {{academic_services_email}} or {{dean_of_students_email}}.',
+  es: '⚠️ Aviso: Esta herramienta puede cometer errores. Verifique la información en las políticas oficiales de Suffolk Law o comuníquese con {{academic_services_email}} o {{dean_of_students_email}}. Las políticas oficiales están en inglés y la versión en inglés es la que rige.',
+  pt: '⚠️ Aviso: Esta ferramenta pode cometer erros. Verifique as informações nas políticas oficiais da Suffolk Law ou entre em contato com {{academic_services_email}} ou {{dean_of_students_email}}. As políticas oficiais estão em inglês e a versão em inglês é a que prevalece.',
+  zh: '⚠️ 请注意：本工具可能会出错。请以 Suffolk Law 的正式政策为准，或联系 {{academic_services_email}} 或 {{dean_of_students_email}}。正式政策以英文版本为准。'
+};
+
+// Shown above fixed responses (emergency contacts, out-of-scope notes), which are English only
+const ENGLISH_ONLY_NOTICES = {
+  es: 'Esta respuesta solo está disponible en inglés.',
+  pt: 'Esta resposta está disponível apenas em inglês.',
+  zh: '此回复仅提供英文版本。'
+};
+
+// Function words and a few domain words that are distinctive enough to vote for a language
+const MARKERS = {
+  en: ['the', 'what', 'how', 'is', 'are', 'can', 'do', 'does', 'my', 'of', 'to', 'and', 'about', 'if', 'when', 'policy', 'exam', 'class'],
+  es: ['el', 'la', 'los', 'las', 'es', 'qué', 'que', 'cómo', 'cuál', 'cuándo', 'puedo', 'del', 'una', 'mi', 'mis', 'y', 'si', 'sobre', 'política', 'examen', 'clase', 'clases', 'ausencia', 'ausencias', 'hay', 'tengo', 'necesito'],
+  pt: ['o', 'os', 'é', 'que', 'como', 'qual', 'quando', 'posso', 'do', 'da', 'uma', 'meu', 'minha', 'e', 'se', 'sobre', 'política', 'prova', 'exame', 'aula', 'aulas', 'falta', 'faltas', 'não', 'você', 'tenho', 'preciso']
+};
+
+const HAN = /[\u3400-\u9fff]/g;
+
+function normalizeLanguage(code) {
+  const value = (code || '').toLowerCase().split('-')[0];
+  return LANGUAGES[value] ? value : null;
+}
+
+// Returns { language, confidence }. Short or ambiguous questions are treated as English.
+function detectLanguage(text) {
+  const han = (text.match(HAN) || []).length;
+  const letters = (text.match(/[\p{L}]/gu) || []).length;
+  if (han > 0 && han / Math.max(letters, 1) > 0.3) return { language: 'zh', confidence: 0.95 };
+
+  const words = text.toLowerCase().match(/[\p{L}]+/gu) || [];
+  const scores = {};
+  for (const [language, markers] of Object.entries(MARKERS)) {
+    const set = new Set(markers);
+    scores[language] = words.filter(w => set.has(w)).length;
+  }
+
+  // Letters only one of the two languages uses
+  if (/[ñ¿¡]/i.test(text)) scores.es += 2;
+  if (/[ãõç]/i.test(text)) scores.pt += 2;
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [best, bestScore] = ranked[0];
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+  if (best === 'en' || bestScore < 2 || bestScore === ranked[1][1]) {
+    return { language: 'en', confidence: total > 0 ? Math.round((scores.en / total) * 100) / 100 : 0.5 };
+  }
+  return { language: best, confidence: Math.round((bestScore / total) * 100) / 100 };
+}
+
+// English version of the question, for retrieval and the English-only detectors
+async function translateToEnglish(llm, text, language) {
+  if (language === 'en') return text;
+
+  const result = await llm.complete({
+    profile: 'translate',
+    messages: [{
+      role: 'user',
+      content: `Translate this question from ${LANGUAGES[language].name} to English. Keep names, course titles and acronyms as they are. Reply with the translation only.\n\nText:\n${text}`
+    }]
+  });
+  return result.text.trim() || text;
+}
+
+// Appended to answer prompts for non-English questions. The database prompt's "should search
+// Suffolk Law's website" sentence is what triggers the web fallback, so it has to stay in English.
+function answerLanguageInstruction(language, { keepFallbackSentence = false } = {}) {
+  if (language === 'en') return '';
+  const fallback = keepFallbackSentence
+    ? ' If you need the sentence about searching Suffolk Law\'s website, write that one sentence in English, word for word.'
+    : '';
+  return `\n\nWrite your answer in ${LANGUAGES[language].name}. Keep policy titles, URLs and anything you quote in English, exactly as written above.${fallback} Do not write a disclaimer; one is added for you.`;
+}
+
+// Drops any disclaimer the model wrote so the reviewed one can be added instead
+function stripDisclaimer(answer) {
+  const index = answer.lastIndexOf('⚠️');
+  return index === -1 ? answer : answer.substring(0, index).trimEnd();
+}
+
+function disclaimerFor(language) {
+  return fillContacts(DISCLAIMERS[language] || DISCLAIMERS[DEFAULT_LANGUAGE]);
+}
+
+function englishOnlyNotice(language) {
+  return ENGLISH_ONLY_NOTICES[language] || null;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  answerLanguageInstruction,
+  detectLanguage,
+  disclaimerFor,
+  englishOnlyNotice,
+  normalizeLanguage,
+  stripDisclaimer,
+  translateToEnglish
+};
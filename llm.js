@@ -0,0 +1,215 @@
+// LLM provider layer: one interface for completions and streaming, configured from the environment.
+//
+//   const llm = createProvider();
+//   const { text } = await llm.complete({ profile: 'answer', messages });
+//   const { text } = await llm.stream({ profile: 'answer', messages }, { onText, signal });
+//
+// LLM_PROVIDER picks the backend: 'anthropic' (the default), or 'mock' for a deterministic offline
+// provider that needs no network or API key. The mock is only used when asked for: without
+// ANTHROPIC_API_KEY the anthropic provider fails at startup rather than serving canned answers.
+
+const Anthropic = require('@anthropic-ai/sdk');
+const { disclaimerFor } = require('./language');
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+// Per call-site settings; each can be overridden with LLM_<PROFILE>_MODEL / _MAX_TOKENS / _TEMPERATURE
+const PROFILE_DEFAULTS = {
+  answer: { maxTokens: 1500, temperature: 0.2 },
+  websearch: { maxTokens: 600, temperature: 0.2 },
+  translate: { maxTokens: 300, temperature: 0 }
+};
+
+function envNumber(name, fallback, parse = parseFloat) {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : parse(value);
+}
+
+function resolveProfile(name) {
+  const defaults = PROFILE_DEFAULTS[name];
+  if (!defaults) throw new Error(`Unknown LLM profile: ${name}`);
+
+  const prefix = `LLM_${name.toUpperCase()}`;
+  return {
+    model: process.env[`${prefix}_MODEL`] || process.env.LLM_MODEL || DEFAULT_MODEL,
+    maxTokens: envNumber(`${prefix}_MAX_TOKENS`, defaults.maxTokens, v => parseInt(v, 10)),
+    temperature: envNumber(`${prefix}_TEMPERATURE`, envNumber('LLM_TEMPERATURE', defaults.temperature))
+  };
+}
+
+const TIMEOUT_MS = envNumber('LLM_TIMEOUT_MS', 60000, v => parseInt(v, 10));
+const MAX_RETRIES = envNumber('LLM_MAX_RETRIES', 2, v => parseInt(v, 10));
+const RETRY_BASE_DELAY_MS = 500;
+
+class LLMTimeoutError extends Error {
+  constructor(ms) {
+    super(`LLM request timed out after ${ms}ms`);
+    this.name = 'LLMTimeoutError';
+  }
+}
+
+function isRetryable(err) {
+  if (err instanceof LLMTimeoutError) return true;
+  const status = err.status || err.response?.status;
+  return status === 429 || status === 529 || (status >= 500 && status < 600) || err.name === 'APIConnectionError';
+}
+
+// Runs attempt(signal) with a per-attempt timeout, retrying transient failures with backoff.
+// `canRetry()` lets streaming calls refuse a retry once text has already gone to the caller.
+async function withRetries(attempt, { signal, timeoutMs = TIMEOUT_MS, maxRetries = MAX_RETRIES, canRetry = () => true } = {}) {
+  for (let tries = 0; ; tries++) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort);
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+
+    try {
+      return await attempt(controller.signal);
+    } catch (err) {
+      const error = timedOut ? new LLMTimeoutError(timeoutMs) : err;
+      if (signal?.aborted || tries >= maxRetries || !isRetryable(error) || !canRetry()) throw error;
+
+      const delay = RETRY_BASE_DELAY_MS * 2 ** tries;
+      console.log(`⚠️  LLM call failed (${error.message}), retrying in ${delay}ms...`);
+      await new Promise(r => setTimeout(r, delay));
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+}
+
+function createAnthropicProvider() {
+  if (!process.env.ANTHROPIC_API_KEY) {
+    throw new Error('ANTHROPIC_API_KEY is not set (use LLM_PROVIDER=mock to run offline)');
+  }
+
+  // Retries and timeouts are handled by withRetries so every provider behaves the same
+  const client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY, maxRetries: 0 });
+
+  const toRequest = ({ profile, messages, system }) => {
+    const settings = resolveProfile(profile);
+    return {
+      model: settings.model,
+      max_tokens: settings.maxTokens,
+      temperature: settings.temperature,
+      ...(system ? { system } : {}),
+      messages
+    };
+  };
+
+  return {
+    name: 'anthropic',
+
+    async complete(params, { signal } = {}) {
+      const request = toRequest(params);
+      const response = await withRetries(s => client.messages.create(request, { signal: s }), { signal });
+      return { text: response.content[0].text, model: response.model, usage: response.usage };
+    },
+
+    async stream(params, { onText = () => {}, signal } = {}) {
+      const request = toRequest(params);
+      let started = false;
+      const message = await withRetries(async (s) => {
+        const stream = client.messages.stream(request, { signal: s });
+        stream.on('text', (text) => {
+          started = true;
+          onText(text);
+        });
+        return stream.finalMessage();
+      }, { signal, canRetry: () => !started });
+      return { text: message.content[0].text, model: message.model, usage: message.usage };
+    }
+  };
+}
+
+// Pulls the numbered passages out of an /api/ask prompt
+function parsePassages(prompt) {
+  const passages = [];
+  const pattern = /^\[(\d+)\]\nTitle: (.*)\n(?:Section: .*\n)?(?:PDF .*\n)?Content: ([\s\S]*?)\nURL: (.*)\n---/gm;
+  let match;
+  while ((match = pattern.exec(prompt))) {
+    passages.push({ n: parseInt(match[1], 10), title: match[2], content: match[3], url: match[4] });
+  }
+  return passages;
+}
+
+function parseSearchResults(prompt) {
+  const results = [];
+  const pattern = /^\[Result (\d+)\]\nTitle: (.*)\nSnippet: (.*)\n(?:Page text: (.*)\n)?URL: (.*)\n---/gm;
+  let match;
+  while ((match = pattern.exec(prompt))) {
+    results.push({ title: match[2], snippet: match[3], pageText: match[4] || '', url: match[5] });
+  }
+  return results;
+}
+
+function firstSentence(text) {
+  const match = text.match(/^[\s\S]*?[.!?](?=\s|$)/);
+  return (match ? match[0] : text.substring(0, 200)).replace(/\s+/g, ' ').trim();
+}
+
+// Deterministic stand-in for a model: answers from the first passages or search results in the
+// prompt, so the whole pipeline (citations, confidence, streaming) runs offline.
+function mockAnswer(messages) {
+  const prompt = messages[messages.length - 1].content;
+  const passages = parsePassages(prompt);
+  const results = parseSearchResults(prompt);
+
+  if (passages.length > 0) {
+    const lines = passages.slice(0, 2).map(p =>
+      `According to ${p.title}, "${firstSentence(p.content)}" [${p.n}] (${p.url})`
+    );
+    return `${lines.join('\n\n')}\n\n${disclaimerFor('en')}`;
+  }
+
+  if (results.length > 0) {
+    const best = results[0];
+    const summary = best.pageText ? firstSentence(best.pageText) : best.snippet;
+    return `The most relevant page found is ${best.title}: ${summary} See ${best.url}`;
+  }
+
+  return 'I found some relevant information in my database, but I should search Suffolk Law\'s website for more complete information.';
+}
+
+function createMockProvider() {
+  return {
+    name: 'mock',
+
+    async complete({ profile, messages }) {
+      const settings = resolveProfile(profile);
+      // No offline translation: hand the text back unchanged
+      const text = profile === 'translate'
+        ? messages[messages.length - 1].content.split('\n\nText:\n').pop()
+        : mockAnswer(messages);
+      return { text, model: `mock:${settings.model}`, usage: { input_tokens: 0, output_tokens: 0 } };
+    },
+
+    async stream(params, { onText = () => {}, signal } = {}) {
+      const result = await this.complete(params);
+      for (const piece of result.text.match(/\S+\s*/g) || []) {
+        if (signal?.aborted) break;
+        onText(piece);
+        await new Promise(r => setImmediate(r));
+      }
+      return result;
+    }
+  };
+}
+
+function createProvider(name = process.env.LLM_PROVIDER || 'anthropic') {
+  if (name === 'anthropic') return createAnthropicProvider();
+  if (name === 'mock') return createMockProvider();
+  throw new Error(`Unknown LLM_PROVIDER: ${name}`);
+}
+
+module.exports = {
+  LLMTimeoutError,
+  createProvider,
+  resolveProfile,
+  withRetries
+};
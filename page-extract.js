@@ -0,0 +1,196 @@
+// The scrapers' page extraction pipeline: strip page chrome, take the first content container
+// with enough text, and fall back to the page's paragraphs. Sources in scrape-sources.js tune it
+// with the options below; the defaults are what the web search fallback uses.
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+const USER_AGENT = process.env.SCRAPER_USER_AGENT || 'Mozilla/5.0';
+const MAX_FILE_BYTES = 50 * 1024 * 1024;
+
+const DEFAULT_OPTIONS = {
+  // Page chrome removed before extracting
+  remove: 'script, style, nav, footer, header, .nav, .menu, .breadcrumb',
+  // 'container': the text of the first selector with enough of it, else the page's paragraphs.
+  // 'blocks': the paragraphs and list items of the first selector that exists.
+  mode: 'container',
+  selectors: ['main', 'article', '.content', '.main-content', '.page-content', '#content'],
+  minLength: 200,
+  // Paragraphs (or blocks) shorter than this are skipped, and kept ones joined with the separator
+  blockMinLength: 30,
+  blockSeparator: ' '
+};
+
+function cleanText(text) {
+  return text.replace(/\s+/g, ' ').replace(/\t/g, '').trim();
+}
+
+function generateSummary(content, maxLength = 200) {
+  const cleaned = content.trim();
+  if (cleaned.length <= maxLength) return cleaned;
+  return cleaned.substring(0, maxLength - 3) + '...';
+}
+
+// "exam-policies" -> "Exam Policies", "student_handbook.pdf" -> "Student Handbook"
+function titleFromUrl(url) {
+  const urlParts = url.split('#')[0].split('/');
+  const slug = urlParts[urlParts.length - 1] || urlParts[urlParts.length - 2];
+  return slug.replace(/\.pdf$/i, '').replace(/[-_]/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+}
+
+function blockText($, elements, options) {
+  const blocks = [];
+  elements.each((i, elem) => {
+    const text = cleanText($(elem).text());
+    if (text.length > options.blockMinLength) blocks.push(text);
+  });
+  return blocks.join(options.blockSeparator);
+}
+
+// Returns { title, content }; content is '' when the page has too little text to be useful
+function extractContent(html, url, overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const $ = cheerio.load(html);
+
+  const heading = cleanText($('h1').first().text());
+  const pageTitle = cleanText($('title').first().text()).split('|')[0].trim();
+  const title = heading || pageTitle || titleFromUrl(url);
+
+  // Remove non-content elements
+  $(options.remove).remove();
+
+  let content = '';
+  if (options.mode === 'blocks') {
+    const container = $(options.selectors.join(', ')).first();
+    if (container.length > 0) content = blockText($, container.find('p, li'), options);
+  } else {
+    for (const selector of options.selectors) {
+      const element = $(selector);
+      if (element.length > 0) {
+        const text = cleanText(element.text());
+        if (text.length > options.minLength) {
+          content = text;
+          break;
+        }
+      }
+    }
+
+    // Fallback: get all paragraphs
+    if (!content) content = blockText($, $('body p'), options);
+  }
+
+  content = content.trim();
+  return { title, content: content.length < options.minLength ? '' : content };
+}
+
+// One { heading, index, content } per h2/h3 section of the first content container. `index` is
+// the heading's position among all headings, including ones skipped for being too short.
+function extractSections(html, overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, minLength: 100, ...overrides };
+  const $ = cheerio.load(html);
+  const container = $(options.selectors.join(', ')).first();
+  const sections = [];
+
+  container.find('h2, h3').each((index, elem) => {
+    const $header = $(elem);
+    const heading = cleanText($header.text());
+    if (!heading || heading.length < 5) return;
+
+    const parts = [];
+    let $next = $header.next();
+    while ($next.length && !$next.is('h2, h3')) {
+      if ($next.is('p, ul, ol, div')) {
+        const text = cleanText($next.text());
+        if (text) parts.push(text);
+      }
+      $next = $next.next();
+    }
+
+    const content = parts.join('\n\n');
+    if (content.length > options.minLength) sections.push({ heading, index, content });
+  });
+
+  return sections;
+}
+
+// Absolute links on a page as { url, text }, in page order without duplicates
+function extractLinks(html, baseUrl) {
+  const $ = cheerio.load(html);
+  const links = [];
+  const seen = new Set();
+
+  $('a').each((i, elem) => {
+    const href = $(elem).attr('href');
+    if (!href || href.startsWith('mailto:')) return;
+
+    let url;
+    try {
+      url = new URL(href, baseUrl).toString();
+    } catch (err) {
+      return;
+    }
+    if (seen.has(url)) return;
+    seen.add(url);
+    links.push({ url, text: cleanText($(elem).text()) });
+  });
+
+  return links;
+}
+
+// GET with the validators from an earlier fetch; a 304 comes back like a 2xx
+async function conditionalGet(url, { timeout, etag, lastModified, responseType, maxContentLength = -1 }) {
+  const headers = {'User-Agent': USER_AGENT};
+  if (etag) headers['If-None-Match'] = etag;
+  if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+  const response = await axios.get(url, {
+    headers,
+    timeout,
+    maxRedirects: 5,
+    maxContentLength,
+    responseType,
+    validateStatus: status => (status >= 200 && status < 300) || status === 304
+  });
+
+  return {
+    response,
+    url: response.request?.res?.responseUrl || url,
+    notModified: response.status === 304,
+    etag: response.headers.etag || etag,
+    lastModified: response.headers['last-modified'] || lastModified
+  };
+}
+
+// Raw HTML and the URL redirects ended up at, plus the validators for the next conditional
+// request. Given an `etag` or `lastModified` from an earlier fetch, an unchanged page comes back
+// as { notModified: true } with no HTML.
+async function fetchHtml(url, { timeout = 30000, etag = null, lastModified = null } = {}) {
+  const { response, ...fetched } = await conditionalGet(url, { timeout, etag, lastModified, responseType: 'text' });
+  return { ...fetched, html: fetched.notModified ? null : response.data };
+}
+
+// The same for a binary file such as a PDF, as a Buffer in `data`
+async function fetchFile(url, { timeout = 60000, etag = null, lastModified = null, maxBytes = MAX_FILE_BYTES } = {}) {
+  const { response, ...fetched } = await conditionalGet(url, {
+    timeout, etag, lastModified, responseType: 'arraybuffer', maxContentLength: maxBytes
+  });
+  return { ...fetched, data: fetched.notModified ? null : Buffer.from(response.data) };
+}
+
+// Fetches and extracts one page. `url` in the result is where redirects ended up.
+async function fetchPage(url, { timeout = 30000, extract = {} } = {}) {
+  const page = await fetchHtml(url, { timeout });
+  return { url: page.url, ...extractContent(page.html, page.url, extract) };
+}
+
+module.exports = {
+  cleanText,
+  extractContent,
+  extractLinks,
+  extractSections,
+  fetchFile,
+  fetchHtml,
+  fetchPage,
+  generateSummary,
+  titleFromUrl
+};
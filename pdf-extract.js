@@ -0,0 +1,178 @@
+// PDF extraction for the scrapers: the text of each page with pdf.js (pure JS, works offline),
+// headings picked out by font size, and a checksum of the file. Pages are joined with form feeds
+// so chunking.js can tell which page a passage is on, and headings get a paragraph of their own
+// so it starts a new passage at each one.
+
+const crypto = require('crypto');
+
+const PAGE_BREAK = '\n\f\n';
+const MAX_PAGES = parseInt(process.env.PDF_MAX_PAGES || '300', 10);
+
+// Lines set this much larger than the body text are headings
+const HEADING_SCALE = 1.15;
+const HEADING_MAX_LENGTH = 100;
+// A gap between lines this many times the font size starts a new paragraph
+const PARAGRAPH_GAP = 1.8;
+
+// "12", "Page 12", "Page 12 of 40": running page numbers, dropped from the text
+const PAGE_NUMBER = /^(?:page\s+)?\d+(?:\s+of\s+\d+)?$/i;
+// Metadata titles that are really file names
+const JUNK_TITLE = /^(?:untitled|microsoft word\b)|\.(?:docx?|pdf|indd)$/i;
+
+let pdfjs = null;
+
+// pdf.js is large and only PDF pages need it. Loading it logs a warning that the canvas
+// polyfills are missing; they're only for rendering, which this doesn't do.
+function loadPdfjs() {
+  if (!pdfjs) pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+  return pdfjs;
+}
+
+function isPdfUrl(url) {
+  try {
+    return new URL(url).pathname.toLowerCase().endsWith('.pdf');
+  } catch (err) {
+    return false;
+  }
+}
+
+function checksum(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function cleanLine(text) {
+  // Control characters (form feeds included) would confuse the page breaks
+  return text.replace(/[\u0000-\u001f]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// A page's text items grouped into lines of { text, size, y }, top to bottom as pdf.js reads them
+function toLines(items) {
+  const lines = [];
+  let line = null;
+  let lastEnd = null;
+
+  for (const item of items) {
+    if (!item.str) continue;
+    const [, , c, d, x, y] = item.transform;
+    const size = Math.hypot(c, d) || item.height;
+
+    if (!line || Math.abs(line.y - y) > size / 2) {
+      line = { text: '', size, y };
+      lines.push(line);
+    } else if (lastEnd !== null && x - lastEnd > size * 0.15 && !/\s$/.test(line.text) && !/^\s/.test(item.str)) {
+      line.text += ' ';
+    }
+    line.text += item.str;
+    line.size = Math.max(line.size, size);
+    lastEnd = x + item.width;
+  }
+
+  return lines
+    .map(l => ({ ...l, text: cleanLine(l.text) }))
+    .filter(l => l.text && !PAGE_NUMBER.test(l.text));
+}
+
+// The size most of the text is set in
+function bodySize(pages) {
+  const totals = new Map();
+  for (const line of pages.flat()) {
+    const size = Math.round(line.size * 2) / 2;
+    totals.set(size, (totals.get(size) || 0) + line.text.length);
+  }
+  let best = null;
+  for (const [size, total] of totals) {
+    if (best === null || total > totals.get(best)) best = size;
+  }
+  return best || 0;
+}
+
+function isHeading(line, body) {
+  if (line.text.length > HEADING_MAX_LENGTH || !/[A-Za-z]/.test(line.text)) return false;
+  if (line.size >= body * HEADING_SCALE) return true;
+  // Body-size headings in capitals, e.g. "RULE 4. GRADING"
+  return /^[^a-z]+$/.test(line.text) && /[A-Z]{3}/.test(line.text) && !/[,;]$/.test(line.text);
+}
+
+// One page's lines as paragraphs separated by blank lines, headings on their own
+function pageText(lines, body, headings, number) {
+  const paragraphs = [];
+  let current = null;
+  let previous = null;
+
+  for (const line of lines) {
+    const heading = isHeading(line, body);
+    const gap = previous ? previous.y - line.y : 0;
+    const continues = current && current.heading === heading &&
+      gap > 0 && gap <= Math.max(previous.size, line.size) * PARAGRAPH_GAP &&
+      (!heading || line.size === previous.size);
+
+    if (continues) {
+      // Rejoin words hyphenated across lines
+      current.text = /[a-z]-$/.test(current.text) && /^[a-z]/.test(line.text)
+        ? current.text.slice(0, -1) + line.text
+        : `${current.text} ${line.text}`;
+    } else {
+      current = { text: line.text, heading };
+      paragraphs.push(current);
+    }
+    previous = line;
+  }
+
+  for (const p of paragraphs) {
+    if (p.heading) headings.push({ page: number, text: p.text });
+  }
+  return paragraphs.map(p => p.text).join('\n\n');
+}
+
+// Extracts a PDF (a Buffer or Uint8Array). Returns { title, content, pageCount, headings,
+// checksum }: content has the pages in order separated by PAGE_BREAK (a page with no text, like
+// a scan, is still counted), headings is [{ page, text }] and title is the document's own title,
+// else its first heading, else null.
+async function extractPdf(data) {
+  const { getDocument, VerbosityLevel } = loadPdfjs();
+  const bytes = new Uint8Array(data);
+  const hash = checksum(bytes);
+
+  // pdf.js takes ownership of the array it's given
+  const doc = await getDocument({
+    data: bytes.slice(),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: VerbosityLevel.ERRORS
+  }).promise;
+
+  try {
+    const pageCount = Math.min(doc.numPages, MAX_PAGES);
+    const pages = [];
+    for (let number = 1; number <= pageCount; number++) {
+      const page = await doc.getPage(number);
+      pages.push(toLines((await page.getTextContent()).items));
+      page.cleanup();
+    }
+
+    const body = bodySize(pages);
+    const headings = [];
+    const texts = pages.map((lines, i) => pageText(lines, body, headings, i + 1));
+
+    const { info } = await doc.getMetadata().catch(() => ({ info: {} }));
+    const metaTitle = cleanLine(String(info?.Title || ''));
+    const title = (metaTitle && !JUNK_TITLE.test(metaTitle) ? metaTitle : null) || headings[0]?.text || null;
+
+    return {
+      title,
+      content: texts.some(Boolean) ? texts.join(PAGE_BREAK) : '',
+      pageCount,
+      headings,
+      checksum: hash
+    };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+module.exports = {
+  PAGE_BREAK,
+  checksum,
+  extractPdf,
+  isPdfUrl
+};
@@ -0,0 +1,76 @@
+// Atom feed of policy changes. A change is any recorded version after a policy's first (see
+// policy-history.js), so whitespace and boilerplate edits never show up here.
+
+const FEED_LIMIT = parseInt(process.env.POLICY_FEED_LIMIT || '50', 10);
+
+function xmlEscape(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// pg gives Dates; SQLite gives "YYYY-MM-DD HH:MM:SS" in UTC
+function isoTime(value) {
+  if (value instanceof Date) return value.toISOString();
+  return new Date(`${String(value).replace(' ', 'T')}Z`).toISOString();
+}
+
+// Newest first, each with its word counts and the summary recorded with it (see policy-history.js)
+async function listPolicyChanges(pool, { category = null, limit = FEED_LIMIT } = {}) {
+  const result = await pool.query(`
+    SELECT v.policy_id, v.version, v.title, v.scrape_run, v.created_at, v.words_added, v.words_removed,
+      v.change_summary, p.external_id, p.category, p.source_url
+    FROM policy_versions v
+    JOIN policies p ON p.id = v.policy_id
+    WHERE v.version > 1 AND p.is_active = true AND ($1::text IS NULL OR p.category = $1)
+    ORDER BY v.created_at DESC, v.id DESC
+    LIMIT $2
+  `, [category, limit]);
+
+  return result.rows.map(({ words_added, words_removed, change_summary, ...row }) => ({
+    ...row,
+    stats: { added: words_added, removed: words_removed },
+    summary: change_summary
+  }));
+}
+
+function toAtom(changes, { selfUrl, siteUrl, category = null }) {
+  const feedId = `urn:suffolk-law-navigator:policy-updates${category ? `:${category}` : ''}`;
+  const updated = changes.length > 0 ? isoTime(changes[0].created_at) : new Date().toISOString();
+  const entries = changes.map(c => {
+    const diffUrl = `${siteUrl}/api/policies/${c.policy_id}/diff?from=${c.version - 1}&to=${c.version}`;
+    return [
+      '  <entry>',
+      `    <id>urn:suffolk-law-navigator:policy:${c.policy_id}:v${c.version}</id>`,
+      `    <title>Updated: ${xmlEscape(c.title)}</title>`,
+      c.source_url ? `    <link rel="alternate" href="${xmlEscape(c.source_url)}"/>` : null,
+      `    <link rel="related" type="application/json" href="${xmlEscape(diffUrl)}"/>`,
+      `    <updated>${isoTime(c.created_at)}</updated>`,
+      `    <category term="${xmlEscape(c.category)}"/>`,
+      `    <summary>${xmlEscape(c.summary)}</summary>`,
+      '  </entry>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${xmlEscape(`Suffolk Law policy updates${category ? ` (${category})` : ''}`)}</title>`,
+    `  <id>${xmlEscape(feedId)}</id>`,
+    `  <link rel="self" type="application/atom+xml" href="${xmlEscape(selfUrl)}"/>`,
+    `  <link rel="alternate" href="${xmlEscape(siteUrl)}/"/>`,
+    `  <updated>${updated}</updated>`,
+    '  <author><name>Suffolk Law Policy Navigator</name></author>',
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  listPolicyChanges,
+  toAtom
+};
@@ -0,0 +1,319 @@
+// Policy version history. Every time a policy's text or title changes, a snapshot of both
+// goes into policy_versions along with a content hash and the scrape run (or admin action) that
+// wrote it. Snapshots are taken by comparing hashes after writes, so every write path is covered
+// whichever SQL it used. Hashes are of the normalized text (see normalizeContent), so whitespace
+// and page boilerplate changes don't count; versions after the first are the change events the
+// policy feed publishes.
+
+const crypto = require('crypto');
+
+// Word-level diffs compare at most this many tokens pairwise; longer rewrites diff as a whole
+const MAX_DIFF_CELLS = 4000000;
+const EXCERPT_LENGTH = 160;
+
+async function ensurePolicyVersionTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS policy_versions (
+      id SERIAL PRIMARY KEY,
+      policy_id INTEGER NOT NULL REFERENCES policies(id) ON DELETE CASCADE,
+      version INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      content TEXT NOT NULL,
+      content_hash VARCHAR(64) NOT NULL,
+      scrape_run VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (policy_id, version)
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_policy_versions_policy ON policy_versions(policy_id)`);
+  // What changed from the previous version, worked out once when the version is recorded
+  await pool.query(`ALTER TABLE policy_versions ADD COLUMN IF NOT EXISTS words_added INTEGER`);
+  await pool.query(`ALTER TABLE policy_versions ADD COLUMN IF NOT EXISTS words_removed INTEGER`);
+  await pool.query(`ALTER TABLE policy_versions ADD COLUMN IF NOT EXISTS change_summary TEXT`);
+  await backfillChangeSummaries(pool);
+}
+
+// Versions recorded before the summary columns existed
+async function backfillChangeSummaries(pool) {
+  const result = await pool.query(`
+    SELECT v.id, v.title, v.content, prev.title AS previous_title, prev.content AS previous_content
+    FROM policy_versions v
+    JOIN policy_versions prev ON prev.policy_id = v.policy_id AND prev.version = v.version - 1
+    WHERE v.change_summary IS NULL
+  `);
+  for (const row of result.rows) {
+    const change = compareVersions({ title: row.previous_title, content: row.previous_content }, row);
+    await pool.query(
+      'UPDATE policy_versions SET words_added = $1, words_removed = $2, change_summary = $3 WHERE id = $4',
+      [change.stats.added, change.stats.removed, changeSummary(change), row.id]
+    );
+  }
+}
+
+// Page furniture that changes without the policy changing
+const BOILERPLATE = [
+  /\b(?:last|page) (?:updated|modified|reviewed)\s*(?:on)?\s*:?\s*(?:[A-Za-z]+\.? \d{1,2},? \d{4}|\d{1,2}\/\d{1,2}\/\d{2,4}|\d{4}-\d{2}-\d{2})/gi,
+  /(?:copyright\s*)?(?:©|\(c\))\s*\d{4}(?:\s*[-–]\s*\d{4})?[^.\n]*\.?/gi,
+  /\b(?:skip to (?:main )?content|back to top|print this page|share this page|all rights reserved\.?)/gi
+];
+
+// What "the same content" means for hashing: boilerplate removed and whitespace collapsed
+function normalizeContent(content) {
+  let text = content || '';
+  for (const pattern of BOILERPLATE) text = text.replace(pattern, ' ');
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function contentHash(content) {
+  return crypto.createHash('sha256').update(normalizeContent(content)).digest('hex');
+}
+
+// An identifier for one run of a scraper or admin action, e.g. "scrape:library@2026-10-19T03:00:00.000Z"
+function scrapeRunId(name) {
+  return `${name}@${new Date().toISOString()}`;
+}
+
+// Snapshots every policy whose content or title differs from its latest version (or has none yet).
+// Returns the number of versions recorded.
+async function recordPolicyVersions(pool, { scrapeRun = null } = {}) {
+  const result = await pool.query(`
+    SELECT p.id, p.title, p.content, v.version, v.title AS version_title, v.content AS version_content
+    FROM policies p
+    LEFT JOIN policy_versions v ON v.policy_id = p.id
+      AND v.version = (SELECT MAX(version) FROM policy_versions WHERE policy_id = p.id)
+  `);
+
+  let recorded = 0;
+  for (const policy of result.rows) {
+    // Hashed again rather than read from content_hash, so older rows compare the same way
+    const hash = contentHash(policy.content);
+    if (policy.version && hash === contentHash(policy.version_content) && policy.title === policy.version_title) continue;
+
+    const change = policy.version
+      ? compareVersions({ title: policy.version_title, content: policy.version_content }, policy)
+      : null;
+    await pool.query(`
+      INSERT INTO policy_versions (policy_id, version, title, content, content_hash, scrape_run, words_added, words_removed, change_summary)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (policy_id, version) DO NOTHING
+    `, [
+      policy.id, (policy.version || 0) + 1, policy.title, policy.content, hash, scrapeRun,
+      change ? change.stats.added : null,
+      change ? change.stats.removed : null,
+      change ? changeSummary(change) : null
+    ]);
+    recorded++;
+  }
+
+  if (recorded > 0) {
+    console.log(`🕘 Recorded ${recorded} policy versions${scrapeRun ? ` (${scrapeRun})` : ''}`);
+  }
+  return recorded;
+}
+
+async function getPolicy(pool, id) {
+  const result = await pool.query('SELECT id, external_id, title, category, source_url FROM policies WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+// Newest first, without the content
+async function listVersions(pool, policyId) {
+  const result = await pool.query(`
+    SELECT version, title, content_hash, scrape_run, created_at, length(content) AS length
+    FROM policy_versions
+    WHERE policy_id = $1
+    ORDER BY version DESC
+  `, [policyId]);
+  return result.rows.map(row => ({ ...row, length: parseInt(row.length, 10) }));
+}
+
+async function getVersion(pool, policyId, version) {
+  const result = await pool.query(
+    'SELECT version, title, content, content_hash, scrape_run, created_at FROM policy_versions WHERE policy_id = $1 AND version = $2',
+    [policyId, version]
+  );
+  return result.rows[0] || null;
+}
+
+// Words and the whitespace between them as separate tokens, so joining them gives back the text
+function tokenize(text) {
+  return text.match(/\s+|\S+/g) || [];
+}
+
+// Appends a token to the last change if it has the same type
+function push(changes, type, text) {
+  const last = changes[changes.length - 1];
+  if (last && last.type === type) last.text += text;
+  else changes.push({ type, text });
+}
+
+// Word-level diff as [{ type: 'equal' | 'insert' | 'delete', text }]. Common leading and
+// trailing words are set aside first; the rest is a longest-common-subsequence diff.
+function diffWords(before, after) {
+  const a = tokenize(before || '');
+  const b = tokenize(after || '');
+  const changes = [];
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  if (start > 0) push(changes, 'equal', a.slice(0, start).join(''));
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > MAX_DIFF_CELLS) {
+    push(changes, 'delete', a.slice(start, endA).join(''));
+    push(changes, 'insert', b.slice(start, endB).join(''));
+  } else if (n > 0 || m > 0) {
+    // lengths[i * (m + 1) + j]: LCS length of a[start + i..endA) and b[start + j..endB)
+    const lengths = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * (m + 1) + j] = a[start + i] === b[start + j]
+          ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        push(changes, 'equal', a[start + i]);
+        i++;
+        j++;
+      } else if (i < n && (j === m || lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1])) {
+        push(changes, 'delete', a[start + i]);
+        i++;
+      } else {
+        push(changes, 'insert', b[start + j]);
+        j++;
+      }
+    }
+  }
+
+  if (endA < a.length) push(changes, 'equal', a.slice(endA).join(''));
+  return mergeShortEquals(changes);
+}
+
+// Folds one- or two-word matches between edits into the edits, so a rewritten sentence reads as
+// one deletion and one insertion instead of alternating fragments
+function mergeShortEquals(changes) {
+  const merged = [];
+  let deleted = '';
+  let inserted = '';
+  const flush = () => {
+    if (deleted) merged.push({ type: 'delete', text: deleted });
+    if (inserted) merged.push({ type: 'insert', text: inserted });
+    deleted = '';
+    inserted = '';
+  };
+
+  changes.forEach((change, index) => {
+    if (change.type === 'delete') deleted += change.text;
+    else if (change.type === 'insert') inserted += change.text;
+    else if (index > 0 && index < changes.length - 1 && (change.text.match(/\S+/g) || []).length <= 2) {
+      deleted += change.text;
+      inserted += change.text;
+    } else {
+      flush();
+      merged.push(change);
+    }
+  });
+  flush();
+  return merged;
+}
+
+function countWords(changes, type) {
+  return changes
+    .filter(c => c.type === type)
+    .reduce((sum, c) => sum + (c.text.match(/\S+/g) || []).length, 0);
+}
+
+// What changed between two { title, content } snapshots
+function compareVersions(older, newer) {
+  const changes = diffWords(older.content, newer.content);
+  return {
+    title_changed: older.title !== newer.title,
+    changes,
+    stats: {
+      added: countWords(changes, 'insert'),
+      removed: countWords(changes, 'delete'),
+      unchanged: countWords(changes, 'equal')
+    }
+  };
+}
+
+function excerpt(changes, type) {
+  const text = changes.filter(c => c.type === type).map(c => c.text.trim()).filter(Boolean).join(' … ');
+  return text.length > EXCERPT_LENGTH ? `${text.substring(0, EXCERPT_LENGTH - 1)}…` : text;
+}
+
+// "14 words added, 3 removed. Added: “...” Removed: “...”"
+function changeSummary(change) {
+  const words = change.stats.added === 1 ? 'word' : 'words';
+  const parts = [`${change.stats.added} ${words} added, ${change.stats.removed} removed${change.title_changed ? ', retitled' : ''}.`];
+  const added = excerpt(change.changes, 'insert');
+  const removed = excerpt(change.changes, 'delete');
+  if (added) parts.push(`Added: “${added}”`);
+  if (removed) parts.push(`Removed: “${removed}”`);
+  return parts.join(' ');
+}
+
+// Diff between two versions of a policy; `to` defaults to the latest and `from` to the one
+// before it. Throws 400/404 errors for bad or unknown versions.
+async function diffVersions(pool, policyId, { from, to } = {}) {
+  const parse = (value, name) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      const err = new Error(`${name} must be a version number`);
+      err.status = 400;
+      throw err;
+    }
+    return number;
+  };
+
+  let toVersion = parse(to, 'to');
+  let fromVersion = parse(from, 'from');
+  if (toVersion === null) {
+    const latest = await pool.query('SELECT MAX(version) AS version FROM policy_versions WHERE policy_id = $1', [policyId]);
+    toVersion = latest.rows[0].version;
+  }
+  if (fromVersion === null && toVersion) fromVersion = Math.max(toVersion - 1, 1);
+
+  const [older, newer] = await Promise.all([
+    fromVersion ? getVersion(pool, policyId, fromVersion) : null,
+    toVersion ? getVersion(pool, policyId, toVersion) : null
+  ]);
+  if (!older || !newer) {
+    const err = new Error(toVersion ? `Version ${!older ? fromVersion : toVersion} not found` : 'This policy has no recorded versions');
+    err.status = 404;
+    throw err;
+  }
+
+  const summary = ({ content, ...version }) => version;
+  return {
+    from: summary(older),
+    to: summary(newer),
+    ...compareVersions(older, newer)
+  };
+}
+
+module.exports = {
+  contentHash,
+  normalizeContent,
+  diffVersions,
+  diffWords,
+  ensurePolicyVersionTables,
+  getPolicy,
+  listVersions,
+  recordPolicyVersions,
+  scrapeRunId
+};
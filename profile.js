@@ -0,0 +1,133 @@
+// Optional student profile (program, year, status) and the applicability tags policies get for
+// the groups they mention. Retrieval boosts policies tagged for the student's groups and demotes
+// ones that only mention other groups; policies that mention no group are left alone.
+
+const PROFILE_FIELDS = {
+  program: {
+    jd: 'J.D.',
+    llm: 'LL.M.'
+  },
+  status: {
+    full_time: 'full-time (day)',
+    part_time: 'part-time (evening)'
+  },
+  year: {
+    '1L': '1L',
+    '2L': '2L',
+    '3L': '3L',
+    '4L': '4L'
+  }
+};
+
+// Tag -> Postgres regex (case-insensitive) matched against a policy's title and content
+const TAG_PATTERNS = {
+  program: {
+    jd: '\\mj\\.?d\\M|juris doctor',
+    llm: '\\mll\\.?m\\M|master of laws'
+  },
+  status: {
+    full_time: 'full[- ]time|\\mday (division|program|students?)\\M',
+    part_time: 'part[- ]time|\\mevening (division|program|students?)\\M'
+  },
+  year: {
+    '1L': '\\m1ls?\\M|first[- ]year',
+    '2L': '\\m2ls?\\M|second[- ]year',
+    '3L': '\\m3ls?\\M|third[- ]year',
+    '4L': '\\m4ls?\\M|fourth[- ]year'
+  }
+};
+
+const PROFILE_BOOST = parseFloat(process.env.RETRIEVAL_PROFILE_BOOST || '1.25');
+const PROFILE_PENALTY = parseFloat(process.env.RETRIEVAL_PROFILE_PENALTY || '0.5');
+
+// policies.applicability is generated from the patterns above, so it stays current whenever a
+// scraper or admin endpoint rewrites a policy. SQLite can't add a stored column to an existing
+// table, so there retrieval tags policies with applicabilityTags() instead.
+async function ensureApplicabilityTags(pool) {
+  await pool.query(`ALTER TABLE qa_interactions ADD COLUMN IF NOT EXISTS profile TEXT`);
+  if (pool.dialect === 'sqlite') return;
+
+  const cases = Object.values(TAG_PATTERNS)
+    .flatMap(tags => Object.entries(tags))
+    .map(([tag, pattern]) => `CASE WHEN coalesce(title, '') || ' ' || coalesce(content, '') ~* '${pattern}' THEN '${tag}' END`);
+
+  await pool.query(`
+    ALTER TABLE policies ADD COLUMN IF NOT EXISTS applicability TEXT[]
+    GENERATED ALWAYS AS (array_remove(ARRAY[${cases.join(', ')}]::text[], NULL)) STORED
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_policies_applicability ON policies USING GIN(applicability)`);
+}
+
+// The option key a value names, ignoring case, hyphens and spaces: "Full-time" and "full time"
+// are both full_time, the way policies write it
+function optionKey(options, value) {
+  if (typeof value !== 'string') return null;
+  const wanted = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return Object.keys(options).find(key => key.toLowerCase() === wanted) || null;
+}
+
+// Keeps known fields with known values; returns null for an empty profile. LL.M. students have
+// no class year.
+function normalizeProfile(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  const profile = {};
+  for (const [field, options] of Object.entries(PROFILE_FIELDS)) {
+    const key = optionKey(options, value[field]);
+    if (key) profile[field] = key;
+  }
+  if (profile.program === 'llm') delete profile.year;
+  return Object.keys(profile).length > 0 ? profile : null;
+}
+
+// "part-time (evening) J.D. student, 2L"
+function describeProfile(profile) {
+  if (!profile) return '';
+  const parts = [
+    profile.status && PROFILE_FIELDS.status[profile.status],
+    profile.program ? `${PROFILE_FIELDS.program[profile.program]} student` : 'student'
+  ].filter(Boolean);
+  return `${parts.join(' ')}${profile.year ? `, ${profile.year}` : ''}`;
+}
+
+// The profile as a sentence, for the prompt and the clarification check
+function profileStatement(profile) {
+  return profile ? `I am a ${describeProfile(profile)}.` : '';
+}
+
+// Appended to the answer prompt so the model answers for this student and says so
+function profileInstruction(profile) {
+  if (!profile) return '';
+  return `\n\nSTUDENT PROFILE: ${profileStatement(profile)} Where the policies differ by program, full-time/part-time status or class year, answer for this student and begin by saying which of these details you assumed (for example, "For part-time evening J.D. students, ...").`;
+}
+
+// The same tags computed in JS; Postgres' word boundaries \m and \M become \b
+function applicabilityTags(text) {
+  return Object.values(TAG_PATTERNS)
+    .flatMap(tags => Object.entries(tags))
+    .filter(([, pattern]) => new RegExp(pattern.replace(/\\[mM]/g, '\\b'), 'i').test(text || ''))
+    .map(([tag]) => tag);
+}
+
+// Per-dimension: tagged for the student's group -> boost, tagged only for other groups -> penalty
+function profileMultiplier(applicability, profile) {
+  if (!profile || !applicability || applicability.length === 0) return 1;
+  let multiplier = 1;
+  for (const [field, tags] of Object.entries(TAG_PATTERNS)) {
+    const wanted = optionKey(tags, profile[field]);
+    if (!wanted) continue;
+    const tagged = applicability.map(tag => optionKey(tags, tag)).filter(Boolean);
+    if (tagged.length === 0) continue;
+    multiplier *= tagged.includes(wanted) ? PROFILE_BOOST : PROFILE_PENALTY;
+  }
+  return multiplier;
+}
+
+module.exports = {
+  applicabilityTags,
+  describeProfile,
+  ensureApplicabilityTags,
+  normalizeProfile,
+  profileInstruction,
+  profileMultiplier,
+  profileStatement
+};
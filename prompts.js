@@ -0,0 +1,292 @@
+// Versioned prompt templates stored in prompt_templates.
+//
+// Each template has a name ('answer', 'websearch'), a version and a body with {{placeholders}}.
+// One version per name is 'active'. 'candidate' versions get traffic_percent of conversations
+// for A/B comparison; 'retired' versions are kept for the interactions that used them.
+//
+// Placeholders: {{context}} (numbered passages or search results), {{question}}, and {{history}}
+// (a note that the question follows earlier turns, which are sent as messages before the prompt).
+// Contact details are placeholders too ({{dean_of_students_email}}, {{contacts}}, ...), filled
+// from the offices directory at render time.
+
+const crypto = require('crypto');
+const { contactPlaceholders } = require('./contacts');
+
+const SUFFOLK_INSTRUCTIONS = `You are a helpful guide to Suffolk Law School. Provide brief, neutral answers.
+
+TONE: Neutral and informative. Use "According to..." and "The policy states..." Avoid "You must" unless quoting.
+
+CONTACTS: Academic ({{academic_services_email}}), Dean ({{dean_of_students_email}}), Emergency ({{university_police_phone}} for emergencies only)
+
+OUT OF SCOPE: Coursework → "Direct to professor." Unrelated → "Outside my scope."
+
+ALWAYS END WITH: "⚠️ Please note: This tool can make mistakes. Verify with actual Suffolk Law policies or contact {{academic_services_email}} or {{dean_of_students_email}}."`;
+
+// The richer instructions the original SQLite server used, offered as a candidate
+const DETAILED_INSTRUCTIONS = `You are a helpful guide to Suffolk University Law School's rules, regulations, and official website.
+
+ROLE: Provide clear summaries. Do NOT give binding legal interpretations.
+
+TONE: Neutral and informative. Avoid authoritative language.
+
+PHRASING:
+Use: "According to...", "The policy states...", "The website explains..."
+Avoid: "You must" (unless quoting verbatim), "The only answer is..."
+
+HANDLING AMBIGUITIES: If rules are unclear, state this openly. Do NOT speculate.
+
+CONTACTS:
+- Academic: {{academic_services_email}}
+- Student life: {{dean_of_students_email}}
+- Emergency: {{university_police_phone}} (emergencies ONLY)
+
+OUT OF SCOPE:
+- Coursework questions → "This is best directed to your professor."
+- Unrelated questions → "This question is outside my scope."
+
+EVERY response MUST end with:
+"⚠️ Please note: This tool can make mistakes. Always verify with actual Suffolk Law policies or consult {{academic_services_email}} or {{dean_of_students_email}}."`;
+
+const ANSWER_TASK = `POLICIES:
+{{context}}
+
+QUESTION: {{question}}
+
+Answer briefly using ONLY these policies. If these policies don't fully answer the question, say "I found some relevant information in my database, but I should search Suffolk Law's website for more complete information." Cite by name, and put the number of the policy each statement relies on in square brackets right after it, like [1] or [1, 3]. Only use the numbers listed above. When quoting a policy, copy its words exactly inside double quotes. Include URLs as clickable links. Keep concise. End with disclaimer.`;
+
+const DEFAULT_TEMPLATES = [
+  {
+    name: 'answer',
+    version: 1,
+    status: 'active',
+    traffic_percent: 0,
+    description: 'Original server.js instructions',
+    body: `${SUFFOLK_INSTRUCTIONS}
+{{history}}
+${ANSWER_TASK}`
+  },
+  {
+    name: 'answer',
+    version: 2,
+    status: 'candidate',
+    traffic_percent: 0,
+    description: 'Detailed instructions from server-old.js',
+    body: `${DETAILED_INSTRUCTIONS}
+{{history}}
+${ANSWER_TASK}`
+  },
+  {
+    name: 'websearch',
+    version: 1,
+    status: 'active',
+    traffic_percent: 0,
+    description: 'Web search result synthesis',
+    body: `You are helping Suffolk Law students find reliable, official info.
+
+Search results:
+{{context}}
+
+Original question: {{question}}
+
+Write a brief, helpful summary using these results. Prefer official university or government pages when present.
+- Include 1–2 direct links (the best ones) inline in the text.
+- If the results seem off-topic or unclear, say so explicitly.`
+  }
+];
+
+const REQUIRED_PLACEHOLDERS = {
+  answer: ['context', 'question'],
+  websearch: ['context', 'question']
+};
+
+const STATUSES = ['active', 'candidate', 'retired'];
+
+// Contact details that stored templates used to spell out, and the placeholders now used instead
+const CONTACT_LITERALS = [
+  ['AcadServLaw@suffolk.edu', '{{academic_services_email}}'],
+  ['LawDeanofStudents@suffolk.edu', '{{dean_of_students_email}}'],
+  ['617-573-8111', '{{university_police_phone}}'],
+  ['617-573-8157', '{{dean_of_students_phone}}']
+];
+
+async function ensurePromptTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS prompt_templates (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(50) NOT NULL,
+      version INTEGER NOT NULL,
+      body TEXT NOT NULL,
+      description TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'candidate',
+      traffic_percent INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (name, version)
+    )
+  `);
+  await pool.query(`ALTER TABLE qa_interactions ADD COLUMN IF NOT EXISTS prompt_template_id INTEGER REFERENCES prompt_templates(id)`);
+  await pool.query(`ALTER TABLE qa_interactions ADD COLUMN IF NOT EXISTS prompt_version INTEGER`);
+
+  for (const t of DEFAULT_TEMPLATES) {
+    await pool.query(`
+      INSERT INTO prompt_templates (name, version, body, description, status, traffic_percent)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (name, version) DO NOTHING
+    `, [t.name, t.version, t.body, t.description, t.status, t.traffic_percent]);
+  }
+
+  await replaceContactLiterals(pool);
+}
+
+// Stored versions are kept as they were served, so a live version that still spells out contact
+// details is replaced by a new version using the placeholders, which takes over its status and
+// traffic share
+async function replaceContactLiterals(pool) {
+  const result = await pool.query(`
+    SELECT * FROM prompt_templates WHERE status IN ('active', 'candidate') ORDER BY name, version
+  `);
+
+  for (const template of result.rows) {
+    const body = CONTACT_LITERALS.reduce((text, [literal, placeholder]) => text.split(literal).join(placeholder), template.body);
+    if (body === template.body) continue;
+
+    await pool.query(`UPDATE prompt_templates SET status = 'retired', traffic_percent = 0 WHERE id = $1`, [template.id]);
+    await pool.query(`
+      INSERT INTO prompt_templates (name, version, body, description, status, traffic_percent)
+      VALUES ($1, (SELECT COALESCE(MAX(version), 0) + 1 FROM prompt_templates WHERE name = $1), $2, $3, $4, $5)
+    `, [template.name, body, `Version ${template.version} with contact placeholders`, template.status, template.traffic_percent]);
+    console.log(`📝 Replaced ${template.name} v${template.version} with a version using contact placeholders`);
+  }
+}
+
+function renderTemplate(body, values) {
+  const all = { ...contactPlaceholders(), ...values };
+  return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (whole, key) => (all[key] !== undefined ? String(all[key]) : ''));
+}
+
+function missingPlaceholders(name, body) {
+  const required = REQUIRED_PLACEHOLDERS[name] || [];
+  return required.filter(key => !new RegExp(`\\{\\{\\s*${key}\\s*\\}\\}`).test(body));
+}
+
+// Stable 0-99 bucket, so a conversation keeps the same template for all of its turns
+function trafficBucket(key) {
+  if (!key) return Math.floor(Math.random() * 100);
+  return parseInt(crypto.createHash('md5').update(String(key)).digest('hex').slice(0, 8), 16) % 100;
+}
+
+// Picks the template version to use for `name`: a candidate if the bucket falls in its traffic
+// share, otherwise the active version
+async function selectTemplate(pool, name, { bucketKey } = {}) {
+  const result = await pool.query(`
+    SELECT * FROM prompt_templates
+    WHERE name = $1 AND status IN ('active', 'candidate')
+    ORDER BY status = 'active' DESC, version
+  `, [name]);
+
+  const active = result.rows.find(t => t.status === 'active');
+  const bucket = trafficBucket(bucketKey);
+  let threshold = 0;
+  for (const candidate of result.rows.filter(t => t.status === 'candidate' && t.traffic_percent > 0)) {
+    threshold += candidate.traffic_percent;
+    if (bucket < threshold) return candidate;
+  }
+
+  if (active) return active;
+
+  // The table has no usable row (e.g. someone retired everything); fall back to the built-in default
+  const fallback = DEFAULT_TEMPLATES.find(t => t.name === name && t.status === 'active');
+  return { id: null, ...fallback };
+}
+
+async function listTemplates(pool) {
+  const result = await pool.query(`
+    SELECT t.id, t.name, t.version, t.description, t.status, t.traffic_percent, t.created_at, t.body,
+      COUNT(q.id) AS interactions,
+      AVG(q.confidence_score) AS avg_confidence,
+      AVG(CASE WHEN q.confidence = 'low' THEN 1.0 ELSE 0.0 END) AS low_confidence_rate
+    FROM prompt_templates t
+    LEFT JOIN qa_interactions q ON q.prompt_template_id = t.id
+    GROUP BY t.id
+    ORDER BY t.name, t.version DESC
+  `);
+  return result.rows.map(row => ({
+    ...row,
+    interactions: parseInt(row.interactions),
+    avg_confidence: row.avg_confidence === null ? null : parseFloat(row.avg_confidence),
+    low_confidence_rate: row.low_confidence_rate === null ? null : parseFloat(row.low_confidence_rate)
+  }));
+}
+
+async function candidateTraffic(pool, name, excludeId = null) {
+  const result = await pool.query(`
+    SELECT COALESCE(SUM(traffic_percent), 0) AS total FROM prompt_templates
+    WHERE name = $1 AND status = 'candidate' AND ($2::int IS NULL OR id <> $2)
+  `, [name, excludeId]);
+  return parseInt(result.rows[0].total);
+}
+
+function validationError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// New versions start as candidates; traffic_percent defaults to 0 so nothing changes until an
+// admin assigns traffic or activates it
+async function createTemplateVersion(pool, { name, body, description = null, traffic_percent = 0 }) {
+  if (!REQUIRED_PLACEHOLDERS[name]) throw validationError(`Unknown template name: ${name}`);
+  if (!body) throw validationError('Template body is required');
+
+  const missing = missingPlaceholders(name, body);
+  if (missing.length > 0) throw validationError(`Template is missing placeholders: ${missing.map(k => `{{${k}}}`).join(', ')}`);
+
+  const traffic = parseInt(traffic_percent, 10) || 0;
+  if (traffic < 0 || traffic + await candidateTraffic(pool, name) > 100) {
+    throw validationError('Candidate traffic for a template can total at most 100%');
+  }
+
+  const result = await pool.query(`
+    INSERT INTO prompt_templates (name, version, body, description, status, traffic_percent)
+    VALUES ($1, (SELECT COALESCE(MAX(version), 0) + 1 FROM prompt_templates WHERE name = $1), $2, $3, 'candidate', $4)
+    RETURNING *
+  `, [name, body, description, traffic]);
+  return result.rows[0];
+}
+
+// Changes a version's status and/or traffic share. Activating a version retires the old active one.
+async function updateTemplate(pool, id, { status, traffic_percent }) {
+  const existing = await pool.query('SELECT * FROM prompt_templates WHERE id = $1', [id]);
+  if (existing.rows.length === 0) return null;
+  const template = existing.rows[0];
+
+  const nextStatus = status || template.status;
+  if (!STATUSES.includes(nextStatus)) throw validationError(`Status must be one of: ${STATUSES.join(', ')}`);
+
+  let traffic = traffic_percent === undefined ? template.traffic_percent : parseInt(traffic_percent, 10);
+  if (nextStatus !== 'candidate') traffic = 0;
+  if (Number.isNaN(traffic) || traffic < 0 || traffic + await candidateTraffic(pool, template.name, id) > 100) {
+    throw validationError('Candidate traffic for a template can total at most 100%');
+  }
+
+  if (nextStatus === 'active' && template.status !== 'active') {
+    await pool.query(
+      `UPDATE prompt_templates SET status = 'retired', traffic_percent = 0 WHERE name = $1 AND status = 'active'`,
+      [template.name]
+    );
+  }
+
+  const result = await pool.query(
+    'UPDATE prompt_templates SET status = $1, traffic_percent = $2 WHERE id = $3 RETURNING *',
+    [nextStatus, traffic, id]
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  createTemplateVersion,
+  ensurePromptTables,
+  listTemplates,
+  renderTemplate,
+  selectTemplate,
+  updateTemplate
+};
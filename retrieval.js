@@ -0,0 +1,159 @@
+// Relevance-ranked policy retrieval backed by Postgres full-text search, or keyword matching on
+// the SQLite backend
+
+const { pageLabel, sectionUrl } = require('./chunking');
+const { applicabilityTags, profileMultiplier } = require('./profile');
+
+const TOP_K = parseInt(process.env.RETRIEVAL_TOP_K || '8', 10);
+const CATEGORY_BOOST = parseFloat(process.env.RETRIEVAL_CATEGORY_BOOST || '1.5');
+// For policies linked to a glossary term in the question (see glossary.js)
+const GLOSSARY_BOOST = parseFloat(process.env.RETRIEVAL_GLOSSARY_BOOST || '1.5');
+const MAX_CHUNKS_PER_POLICY = parseInt(process.env.RETRIEVAL_MAX_CHUNKS_PER_POLICY || '3', 10);
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'about', 'at', 'be', 'can', 'could', 'do', 'does', 'for', 'from',
+  'get', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'me', 'my', 'need', 'of', 'on', 'or',
+  'should', 'that', 'the', 'this', 'to', 'what', 'when', 'where', 'which', 'who', 'why',
+  'will', 'with', 'would', 'you', 'your'
+]);
+
+// Question words that point at a policy category; matching categories get CATEGORY_BOOST
+const CATEGORY_HINTS = {
+  attendance: ['absence', 'absences', 'absent', 'attend', 'attendance', 'miss', 'missed', 'tardy', 'late', 'recording'],
+  exams: ['exam', 'exams', 'examsoft', 'final', 'finals', 'postpone', 'postponement', 'reschedule'],
+  library: ['library', 'study', 'room', 'rooms', 'librarian', 'research', 'books'],
+  registration: ['register', 'registration', 'enroll', 'enrollment', 'add', 'drop', 'waitlist'],
+  'student-services': ['accommodation', 'accommodations', 'disability', 'leave', 'dean', 'counseling', 'wellness'],
+  academic: ['grade', 'grades', 'grading', 'gpa', 'probation', 'standing', 'rules', 'credits'],
+  curriculum: ['course', 'courses', 'requirement', 'requirements', 'graduate', 'graduation', 'curriculum']
+};
+
+async function ensureSearchIndex(pool) {
+  if (pool.dialect === 'sqlite') return;
+  await pool.query(`
+    ALTER TABLE policies ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+      setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+      setweight(to_tsvector('english', coalesce(summary, '')), 'B') ||
+      setweight(to_tsvector('english', coalesce(content, '')), 'C')
+    ) STORED
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_policies_search ON policies USING GIN(search_vector)`);
+}
+
+// Postgres indexes "add/drop" as a single file-path token, so slash compounds are kept whole
+// alongside their parts
+const SLASH_COMPOUND = /\b[a-z0-9]+(?:\/[a-z0-9]+)+\b/g;
+
+function extractKeywords(question) {
+  const text = question.toLowerCase();
+  const words = text
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .split(/[\s-]+/)
+    .filter(w => w.length > 1 && !STOPWORDS.has(w));
+
+  return [...new Set([...(text.match(SLASH_COMPOUND) || []), ...words])];
+}
+
+function inferCategories(keywords) {
+  return Object.keys(CATEGORY_HINTS).filter(category =>
+    CATEGORY_HINTS[category].some(hint => keywords.includes(hint))
+  );
+}
+
+async function rankWithFullText(pool, keywords, categories, { categoryBoost, linkedPolicies, glossaryBoost, maxPerPolicy, limit }) {
+  const result = await pool.query(`
+    SELECT * FROM (
+      SELECT ranked.*, ROW_NUMBER() OVER (PARTITION BY ranked.policy_id ORDER BY ranked.score DESC) AS policy_rank
+      FROM (
+        SELECT c.id AS chunk_id, c.policy_id, c.chunk_index, c.heading, c.anchor,
+          c.start_offset, c.end_offset, c.page_start, c.page_end, c.content,
+          p.external_id, p.title, p.category, p.source_url, p.last_updated, p.applicability,
+          (0.7 * ts_rank_cd(c.search_vector, q.query, 32) + 0.3 * ts_rank_cd(p.search_vector, q.query, 32)) *
+            CASE WHEN p.category = ANY($2) THEN $3::float8 ELSE 1 END *
+            CASE WHEN p.external_id = ANY($6) THEN $7::float8 ELSE 1 END AS score
+        FROM policy_chunks c
+        JOIN policies p ON p.id = c.policy_id, to_tsquery('english', $1) AS q(query)
+        WHERE p.is_active = true AND c.search_vector @@ q.query
+      ) ranked
+    ) limited
+    WHERE policy_rank <= $4
+    ORDER BY score DESC, last_updated DESC
+    LIMIT $5
+  `, [keywords.join(' | '), categories, categoryBoost, maxPerPolicy, limit, linkedPolicies, glossaryBoost]);
+  return result.rows;
+}
+
+// Weighted keyword hits (heading/title 1, body 0.2) squashed into [0, 1) like ts_rank_cd's
+// normalization 32. Keywords match as word prefixes, a rough stand-in for stemming.
+function keywordRank(keywords, heading, body) {
+  let hits = 0;
+  for (const keyword of keywords) {
+    const pattern = new RegExp(`\\b${keyword}`, 'gi');
+    hits += ((heading || '').match(pattern) || []).length + 0.2 * ((body || '').match(pattern) || []).length;
+  }
+  return hits / (hits + 1);
+}
+
+async function rankWithKeywords(pool, keywords, categories, { categoryBoost, linkedPolicies, glossaryBoost, maxPerPolicy, limit }) {
+  const matches = keywords.map((k, i) => `lower(coalesce(c.heading, '') || ' ' || c.content) LIKE $${i + 1}`);
+  const result = await pool.query(`
+    SELECT c.id AS chunk_id, c.policy_id, c.chunk_index, c.heading, c.anchor,
+      c.start_offset, c.end_offset, c.page_start, c.page_end, c.content,
+      p.external_id, p.title, p.category, p.source_url, p.last_updated, p.content AS policy_content
+    FROM policy_chunks c
+    JOIN policies p ON p.id = c.policy_id
+    WHERE p.is_active = true AND (${matches.join(' OR ')})
+  `, keywords.map(k => `%${k}%`));
+
+  const perPolicy = new Map();
+  return result.rows
+    .map(({ policy_content, ...row }) => ({
+      ...row,
+      applicability: applicabilityTags(`${row.title} ${policy_content}`),
+      score: (0.7 * keywordRank(keywords, row.heading, row.content) + 0.3 * keywordRank(keywords, row.title, policy_content)) *
+        (categories.includes(row.category) ? categoryBoost : 1) *
+        (linkedPolicies.includes(row.external_id) ? glossaryBoost : 1)
+    }))
+    .sort((a, b) => b.score - a.score || String(b.last_updated).localeCompare(String(a.last_updated)))
+    .filter(row => {
+      const rank = (perPolicy.get(row.policy_id) || 0) + 1;
+      perPolicy.set(row.policy_id, rank);
+      return rank <= maxPerPolicy;
+    })
+    .slice(0, limit);
+}
+
+// Returns passages of active policies ranked by how well they match the question, best first.
+// Each row carries the policy's title, category and URL (and `pages`, e.g. "page 12", for a
+// passage from a PDF) plus a `score`: the passage's own ts_rank_cd blended with its policy's,
+// in [0, 1), then category boosted and boosted for policies in `linkedPolicies` (external ids),
+// either of which can take it above 1. At most maxPerPolicy passages come from any one policy so
+// a single long page can't crowd out the rest. With a student `profile`, scores are also adjusted
+// by the policy's applicability tags (see profile.js).
+async function retrieveChunks(pool, question, { topK = TOP_K, categoryBoost = CATEGORY_BOOST, linkedPolicies = [], glossaryBoost = GLOSSARY_BOOST, maxPerPolicy = MAX_CHUNKS_PER_POLICY, profile = null } = {}) {
+  const keywords = extractKeywords(question);
+  if (keywords.length === 0) return [];
+
+  const categories = inferCategories(keywords);
+  // Over-fetch with a profile so re-ranking can pull up passages just below the cut
+  const rank = pool.dialect === 'sqlite' ? rankWithKeywords : rankWithFullText;
+  const rows = await rank(pool, keywords, categories, { categoryBoost, linkedPolicies, glossaryBoost, maxPerPolicy, limit: profile ? topK * 3 : topK });
+
+  return rows
+    .map(row => ({
+      ...row,
+      score: parseFloat(row.score) * profileMultiplier(row.applicability, profile),
+      url: sectionUrl(row.source_url, row.anchor),
+      pages: pageLabel(row.page_start, row.page_end)
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+module.exports = {
+  ensureSearchIndex,
+  extractKeywords,
+  inferCategories,
+  retrieveChunks
+};
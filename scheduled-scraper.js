@@ -10,7 +10,7 @@ cron.schedule('0 3 * * *', () => {
   console.log('\n⏰ Running scheduled scrape at', new Date().toLocaleString());
   
   // Run the scraper
-  exec('node scrape-policies-v2.js', (error, stdout, stderr) => {
+  exec('node scrape.js --source student-policies', (error, stdout, stderr) => {
     if (error) {
       console.error('❌ Scrape failed:', error);
       return;
@@ -24,7 +24,7 @@ cron.schedule('0 3 * * *', () => {
 cron.schedule('0 2 * * 0', () => {
   console.log('\n⏰ Running weekly full crawl at', new Date().toLocaleString());
   
-  exec('node crawl-academics.js', (error, stdout, stderr) => {
+  exec('node scrape.js --source academics-crawl', (error, stdout, stderr) => {
     if (error) {
       console.error('❌ Crawl failed:', error);
       return;
@@ -0,0 +1,32 @@
+require('dotenv').config();
+const { CALENDAR_URL, ensureCalendarTables, saveEvents, scrapeCalendar } = require('./calendar');
+const { createStorage } = require('./storage');
+
+const pool = createStorage();
+
+async function run() {
+  console.log(`📅 Scraping academic calendar: ${CALENDAR_URL}`);
+
+  try {
+    await ensureCalendarTables(pool);
+    const events = await scrapeCalendar();
+    if (events.length === 0) {
+      console.log('⚠️  No dated events found on the page; the calendar was left unchanged');
+      return;
+    }
+
+    await saveEvents(pool, events);
+    for (const e of events) {
+      console.log('✅', e.start_date, e.term || '', e.event);
+    }
+
+    const result = await pool.query('SELECT COUNT(*) FROM academic_calendar');
+    console.log(`\n✨ Complete! ${events.length} events scraped, ${result.rows[0].count} in the calendar`);
+  } catch (err) {
+    console.error('❌ Error:', err);
+  } finally {
+    await pool.end();
+  }
+}
+
+run();
@@ -0,0 +1,149 @@
+// Source registry for the scraping engine (scraper.js). Each entry says where the pages come
+// from, how to extract them, how to categorize them and how their policy external_ids are built.
+//
+//   pages:   fixed list of { url, title, category? }
+//   index:   { url, include, minTextLength, limit, includeIndex?, indexTitle? } - the links on
+//            an index page whose URL contains `include`
+//   crawl:   { start, include, exclude, maxPages, expandPages } - breadth-first from `start`,
+//            following links only from the first `expandPages` pages
+//   extract: page-extract.js options, plus mode 'sections' for one policy per h2/h3 section.
+//            Links to PDFs are extracted with pdf-extract.js instead, one policy per file.
+//   category: a category, or [{ match, category }] rules tried against the URL, last one the default
+//   maxContentLength, maxPdfLength: characters of a page's or a PDF's text kept
+//   externalId: template; {slug:N} is the title slugged and cut to N characters, {path:N} the last
+//            two URL segments, {section} the section's heading index, {category} the category
+//
+// The ID templates reproduce the ones the old per-site scripts used, so re-running a source
+// updates its existing policies instead of adding copies.
+
+const POLICIES_BASE = 'https://www.suffolk.edu/law/academics-clinics/student-life/policies-rules/student-policies-procedures';
+
+const SOURCES = [
+  {
+    id: 'student-policies',
+    description: 'The student policies and procedures pages, one policy per page',
+    pages: [
+      { url: `${POLICIES_BASE}/exam-regulations-policy`, title: 'Exam Regulations Policy' },
+      { url: `${POLICIES_BASE}/exam-postponement-and-rescheduling-requests-policy`, title: 'Exam Postponement Policy' },
+      { url: `${POLICIES_BASE}/academic-accommodations`, title: 'Academic Accommodations' },
+      { url: `${POLICIES_BASE}/leaves-of-absence-voluntary`, title: 'Voluntary Leave of Absence' },
+      { url: `${POLICIES_BASE}/recording-classes-policy`, title: 'Recording Classes Policy' },
+      { url: `${POLICIES_BASE}/accommodations-for-exams-policy`, title: 'Accommodations for Exams' },
+      { url: `${POLICIES_BASE}/exam-interruption-policy`, title: 'Exam Interruption Policy' },
+      { url: `${POLICIES_BASE}/examsoft-missing-text-policy`, title: 'ExamSoft Missing Text Policy' },
+      { url: `${POLICIES_BASE}/requesting-exam-accommodations-policy`, title: 'Requesting Exam Accommodations' },
+      { url: `${POLICIES_BASE}/class-make-up-policy`, title: 'Class Make-up Policy' },
+      { url: `${POLICIES_BASE}/cancellation-and-delay-policy`, title: 'Cancellation and Delay Policy' },
+      { url: `${POLICIES_BASE}/disciplinary-procedure-policy`, title: 'Disciplinary Procedure' },
+      { url: `${POLICIES_BASE}/leaves-of-absence-involuntary`, title: 'Involuntary Leave of Absence' },
+      { url: `${POLICIES_BASE}/satisfactory-academic-progress-policy`, title: 'Satisfactory Academic Progress' },
+      { url: `${POLICIES_BASE}/visiting-out-study-abroad-policy`, title: 'Visiting Out/Study Abroad' },
+      { url: `${POLICIES_BASE}/military-service-policy`, title: 'Military Service Policy' },
+      { url: `${POLICIES_BASE}/withdrawal-due-to-failure-to-file-previous-educational-transcripts`, title: 'Withdrawal for Missing Transcripts' },
+      { url: `${POLICIES_BASE}/family-rights-and-privacy-act-policy`, title: 'FERPA Policy' },
+      { url: `${POLICIES_BASE}/computer-use-policy`, title: 'Computer Use Policy' },
+      { url: `${POLICIES_BASE}/electronic-mail-policy`, title: 'Electronic Mail Policy' }
+    ],
+    extract: {
+      remove: 'script, style, nav, footer, header, .nav, .menu',
+      selectors: ['.content', '.main-content', 'main', 'article', '.policy-content', '#content', '.page-content'],
+      minLength: 100,
+      blockSeparator: '\n\n'
+    },
+    category: 'student-services',
+    externalId: 'policy-v2-{slug:50}',
+    maxContentLength: 10000
+  },
+  {
+    id: 'student-policies-index',
+    description: 'Every policy linked from the student policies and procedures index',
+    index: {
+      url: POLICIES_BASE,
+      include: '/student-policies-procedures/',
+      minTextLength: 6,
+      limit: 20
+    },
+    extract: {
+      mode: 'blocks',
+      selectors: ['main', '.main-content', 'article', '.content', '.policy-content'],
+      minLength: 50,
+      blockMinLength: 20,
+      blockSeparator: '\n\n'
+    },
+    category: 'student-services',
+    externalId: 'policy-{slug}',
+    maxContentLength: 8000,
+    delayMs: 1500
+  },
+  {
+    id: 'rules-sections',
+    description: 'Academic rules, student policies and course registration, one policy per section',
+    pages: [
+      { url: 'https://www.suffolk.edu/law/academics-clinics/student-life/policies-rules/academic-rules-regulations', title: 'Academic Rules & Regulations', category: 'academic' },
+      { url: POLICIES_BASE, title: 'Student Policies & Procedures', category: 'student-services' },
+      { url: 'https://www.suffolk.edu/law/academics-clinics/academic-resources/course-registration', title: 'Course Registration', category: 'registration' }
+    ],
+    extract: {
+      mode: 'sections',
+      selectors: ['main', '.main-content', 'article', '.content'],
+      minLength: 100
+    },
+    externalId: '{category}-{section}-v2'
+  },
+  {
+    id: 'academic-pages',
+    description: 'Whole pages the other sources miss',
+    pages: [
+      { url: 'https://www.suffolk.edu/law/academics-clinics/student-life/policies-rules/academic-rules-regulations', title: 'Academic Rules & Regulations', category: 'academic' },
+      { url: 'https://www.suffolk.edu/law/academics-clinics/academic-resources/law-course-offerings', title: 'Law Course Offerings', category: 'curriculum' },
+      { url: 'https://www.suffolk.edu/law/academics-clinics/student-life/research-assistant-and-teaching-assistant-programs', title: 'Research & Teaching Assistant Programs', category: 'student-programs' }
+    ],
+    extract: {
+      remove: 'script, style, nav, footer, header, .nav, .menu',
+      selectors: ['.content', '.main-content', 'main', 'article', '.page-content', '#content'],
+      minLength: 100,
+      blockSeparator: '\n\n'
+    },
+    externalId: 'page-{slug:50}',
+    maxContentLength: 10000
+  },
+  {
+    id: 'library',
+    description: 'The About the Library page and up to 20 library pages it links to',
+    index: {
+      url: 'https://www.suffolk.edu/law/faculty-research/about-the-library',
+      include: '/law/faculty-research/',
+      exclude: ['#'],
+      minTextLength: 4,
+      limit: 20,
+      includeIndex: true,
+      indexTitle: 'About the Law Library'
+    },
+    category: 'library',
+    externalId: 'library-{path:80}',
+    maxContentLength: 12000
+  },
+  {
+    id: 'academics-crawl',
+    description: 'Breadth-first crawl of the academics and clinics section',
+    crawl: {
+      start: 'https://www.suffolk.edu/law/academics-clinics',
+      include: '/law/academics-clinics',
+      exclude: ['#', '.jpg', '.png'],
+      maxPages: 200,
+      expandPages: 10
+    },
+    category: [
+      { match: 'student-life', category: 'student-services' },
+      { match: 'course', category: 'curriculum' },
+      { match: 'clinic', category: 'clinics' },
+      { category: 'academic' }
+    ],
+    externalId: 'crawl-{path:80}',
+    maxContentLength: 12000
+  }
+];
+
+module.exports = {
+  SOURCES
+};
@@ -0,0 +1,97 @@
+require('dotenv').config();
+const { SOURCES, ensureScrapeTables, getSource, runSource } = require('./scraper');
+const { ensureChunkTables, refreshStaleChunks } = require('./chunking');
+const { createStorage, ensurePolicyTables } = require('./storage');
+const { ensurePolicyVersionTables, recordPolicyVersions, scrapeRunId } = require('./policy-history');
+
+const USAGE = `Usage: node scrape.js [--source <id>[,<id>...]] [--dry-run] [--full] [--list]
+
+  --source   Sources to run (repeatable); all sources when omitted
+  --dry-run  Fetch and extract, but don't write to the database
+  --full     Fetch every page, even ones the site says haven't changed since the last run,
+             and extract every PDF, even ones whose file is the same
+  --list     Show the registered sources and exit
+
+Policies go to Postgres when DATABASE_URL is set and to SQLITE_FILE (suffolk_law.db) otherwise;
+DB_BACKEND=postgres|sqlite overrides.`;
+
+function parseArgs(argv) {
+  const args = { sources: [], dryRun: false, full: false, list: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--full') args.full = true;
+    else if (arg === '--list') args.list = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg === '--source') args.sources.push(...(argv[++i] || '').split(','));
+    else if (arg.startsWith('--source=')) args.sources.push(...arg.slice('--source='.length).split(','));
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  args.sources = args.sources.map(s => s.trim()).filter(Boolean);
+  return args;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`❌ ${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (args.list) {
+    for (const s of SOURCES) console.log(`${s.id.padEnd(24)} ${s.description}`);
+    return;
+  }
+
+  const unknown = args.sources.filter(id => !getSource(id));
+  if (unknown.length > 0) {
+    console.error(`❌ Unknown source: ${unknown.join(', ')}. Run with --list to see the sources.`);
+    process.exit(1);
+  }
+
+  const sources = args.sources.length > 0 ? args.sources.map(getSource) : SOURCES;
+  const db = args.dryRun ? null : createStorage();
+  const startTime = Date.now();
+  let failures = 0;
+
+  try {
+    if (db) {
+      await ensurePolicyTables(db);
+      await ensurePolicyVersionTables(db);
+      await ensureScrapeTables(db);
+      await ensureChunkTables(db);
+      console.log(`💾 Writing to ${db.description}`);
+    }
+
+    for (const source of sources) {
+      try {
+        await runSource(source, { db, dryRun: args.dryRun, full: args.full });
+        if (db) await recordPolicyVersions(db, { scrapeRun: scrapeRunId(`scrape:${source.id}`) });
+      } catch (err) {
+        failures++;
+        console.error(`❌ ${source.id} failed: ${err.message}`);
+      }
+    }
+    // Retrieval reads passages, so new and changed policies are searchable right away
+    if (db) await refreshStaleChunks(db);
+
+    const duration = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
+    console.log('\n' + '='.repeat(70));
+    console.log(`✨ Complete in ${duration} minutes (${sources.length} sources${failures ? `, ${failures} failed` : ''})`);
+    if (db) console.log(`📊 Total in database: ${await db.policies.count()}`);
+    console.log('='.repeat(70));
+  } finally {
+    if (db) await db.end();
+  }
+
+  if (failures > 0) process.exitCode = 1;
+}
+
+main();
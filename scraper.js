@@ -0,0 +1,348 @@
+// Scraping engine. Runs the sources declared in scrape-sources.js: finds their pages (a fixed
+// list, an index page's links or a crawl), extracts policies with page-extract.js and upserts
+// them through the storage layer (storage.js), into Postgres or the local SQLite file. Run it
+// with scrape.js.
+//
+// Pages are fetched conditionally with the ETag / Last-Modified the site sent last time (kept per
+// source in scraped_pages), and policies whose normalized content hash hasn't changed aren't
+// rewritten, so a run that finds nothing new leaves the database as it was.
+//
+// Links to PDFs (handbooks, calendars, forms) are extracted with pdf-extract.js into one policy
+// per file, its pages separated by form feeds for chunking. Each file's URL and checksum go in
+// pdf_documents; a file whose checksum hasn't changed isn't extracted again.
+
+const { SOURCES } = require('./scrape-sources');
+const { contentHash } = require('./policy-history');
+const { checksum, extractPdf, isPdfUrl } = require('./pdf-extract');
+const {
+  extractContent,
+  extractLinks,
+  extractSections,
+  fetchFile,
+  fetchHtml,
+  generateSummary,
+  titleFromUrl
+} = require('./page-extract');
+
+const DEFAULT_DELAY_MS = 2000;
+// Handbooks run long; chunking splits them, so they keep far more text than a web page
+const DEFAULT_PDF_MAX_LENGTH = 300000;
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]/g, '-');
+}
+
+// Fills a source's externalId template, e.g. 'library-{path:80}'
+function buildExternalId(template, { title, url, category, section }) {
+  return template.replace(/\{(\w+)(?::(\d+))?\}/g, (whole, token, max) => {
+    let value;
+    if (token === 'slug') value = slugify(title);
+    else if (token === 'path') value = url.split('/').slice(-2).join('-');
+    else if (token === 'category') value = category;
+    else if (token === 'section') value = String(section);
+    else throw new Error(`Unknown externalId placeholder ${whole}`);
+    return max ? value.substring(0, parseInt(max, 10)) : value;
+  });
+}
+
+function categorize(rule, url) {
+  if (typeof rule === 'string') return rule;
+  const match = (rule || []).find(r => !r.match || url.includes(r.match));
+  return match ? match.category : 'general';
+}
+
+function linkMatches(url, { include, exclude = [] }) {
+  return url.includes(include) && !exclude.some(part => url.includes(part));
+}
+
+function getSource(id) {
+  return SOURCES.find(s => s.id === id) || null;
+}
+
+function buildPolicy(source, page, { title, content, section, maxLength }) {
+  const category = page.category || categorize(source.category, page.url);
+  return {
+    external_id: buildExternalId(source.externalId, { title, url: page.url, category, section }),
+    title,
+    category,
+    content: content.substring(0, maxLength),
+    summary: generateSummary(content),
+    source_url: page.url,
+    source_name: page.title
+  };
+}
+
+// Policies from one fetched page: one per page, or one per section in 'sections' mode
+function extractPolicies(source, page, html) {
+  const maxLength = source.maxContentLength || 12000;
+  const policy = (title, content, section) => buildPolicy(source, page, { title, content, section, maxLength });
+
+  if (source.extract?.mode === 'sections') {
+    return extractSections(html, source.extract).map(s => policy(s.heading, s.content, s.index));
+  }
+
+  const { content } = extractContent(html, page.url, source.extract);
+  return content ? [policy(page.title, content)] : [];
+}
+
+// The one policy an extracted PDF (see extractPdf) makes. It's titled with the document's own
+// title when it has one, but the external_id is built from the page's so a retitled file
+// updates the same policy.
+function pdfPolicy(source, page, pdf) {
+  if (!pdf.content) return null;
+  const policy = buildPolicy(source, page, {
+    title: page.title,
+    content: pdf.content,
+    maxLength: source.maxPdfLength || DEFAULT_PDF_MAX_LENGTH
+  });
+  return { ...policy, title: pdf.title || page.title };
+}
+
+// The pages a source covers, as { url, title, category? }. Crawls are discovered as they run,
+// so they go through crawlPages() instead.
+async function listPages(source) {
+  if (source.pages) return source.pages;
+
+  const index = source.index;
+  const { html } = await fetchHtml(index.url);
+  const links = extractLinks(html, index.url)
+    .filter(link => linkMatches(link.url, index) && link.text.length >= (index.minTextLength || 1))
+    .slice(0, index.limit || Infinity)
+    .map(link => ({ url: link.url, title: link.text }));
+
+  console.log(`✅ Found ${links.length} links on ${index.url}\n`);
+  return index.includeIndex
+    ? [{ url: index.url, title: index.indexTitle || titleFromUrl(index.url) }, ...links]
+    : links;
+}
+
+async function ensureScrapeTables(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS scraped_pages (
+      source_id VARCHAR(100) NOT NULL,
+      url TEXT NOT NULL,
+      etag TEXT,
+      last_modified TEXT,
+      content_hash VARCHAR(64),
+      last_checked TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_changed TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (source_id, url)
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS pdf_documents (
+      source_id VARCHAR(100) NOT NULL,
+      url TEXT NOT NULL,
+      external_id VARCHAR(255),
+      checksum VARCHAR(64) NOT NULL,
+      title TEXT,
+      page_count INTEGER,
+      byte_length INTEGER,
+      last_fetched TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (source_id, url)
+    )
+  `);
+}
+
+async function loadPageState(db, sourceId, url) {
+  const result = await db.query('SELECT etag, last_modified, content_hash FROM scraped_pages WHERE source_id = $1 AND url = $2', [sourceId, url]);
+  return result.rows[0] || null;
+}
+
+// last_changed only moves when the extracted content's hash does
+async function savePageState(db, sourceId, url, { etag, lastModified, hash }) {
+  await db.query(`
+    INSERT INTO scraped_pages (source_id, url, etag, last_modified, content_hash)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (source_id, url) DO UPDATE SET
+      etag = EXCLUDED.etag,
+      last_modified = EXCLUDED.last_modified,
+      last_changed = CASE WHEN scraped_pages.content_hash = EXCLUDED.content_hash
+        THEN scraped_pages.last_changed ELSE CURRENT_TIMESTAMP END,
+      content_hash = EXCLUDED.content_hash,
+      last_checked = CURRENT_TIMESTAMP
+  `, [sourceId, url, etag || null, lastModified || null, hash]);
+}
+
+async function touchPageState(db, sourceId, url) {
+  await db.query('UPDATE scraped_pages SET last_checked = CURRENT_TIMESTAMP WHERE source_id = $1 AND url = $2', [sourceId, url]);
+}
+
+async function pdfChecksum(db, sourceId, url) {
+  const result = await db.query('SELECT checksum FROM pdf_documents WHERE source_id = $1 AND url = $2', [sourceId, url]);
+  return result.rows[0]?.checksum || null;
+}
+
+// external_id is null for a file with no text (a scan), so it isn't extracted again either
+async function savePdfDocument(db, sourceId, url, { externalId, pdf, byteLength }) {
+  await db.query(`
+    INSERT INTO pdf_documents (source_id, url, external_id, checksum, title, page_count, byte_length)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (source_id, url) DO UPDATE SET
+      external_id = EXCLUDED.external_id,
+      checksum = EXCLUDED.checksum,
+      title = EXCLUDED.title,
+      page_count = EXCLUDED.page_count,
+      byte_length = EXCLUDED.byte_length,
+      last_fetched = CURRENT_TIMESTAMP
+  `, [sourceId, url, externalId, pdf.checksum, pdf.title, pdf.pageCount, byteLength]);
+}
+
+// True when the stored policy has the same title and normalized content
+async function isUnchanged(db, policy) {
+  const result = await db.query('SELECT title, content FROM policies WHERE external_id = $1', [policy.external_id]);
+  const existing = result.rows[0];
+  return Boolean(existing) && existing.title === policy.title && contentHash(existing.content) === contentHash(policy.content);
+}
+
+// Breadth-first; only the first `expandPages` pages add links to the queue, so only those are
+// visited with `expand` set (and fetched in full, since a 304 has no links to follow)
+async function crawlPages(source, visit) {
+  const crawl = source.crawl;
+  const visited = new Set();
+  const queue = [crawl.start];
+
+  while (queue.length > 0 && visited.size < crawl.maxPages) {
+    const url = queue.shift();
+    if (visited.has(url)) continue;
+    visited.add(url);
+
+    console.log(`\n[${visited.size}/${crawl.maxPages}] Crawling...`);
+    const expand = visited.size <= crawl.expandPages;
+    const html = await visit({ url, title: titleFromUrl(url) }, { expand });
+
+    if (html && expand) {
+      for (const link of extractLinks(html, url)) {
+        if (linkMatches(link.url, crawl) && !visited.has(link.url) && !queue.includes(link.url)) {
+          queue.push(link.url);
+        }
+      }
+    }
+  }
+  return visited.size;
+}
+
+// Upserts one policy; a failed write is logged and counted, not thrown
+async function savePolicy(db, policy) {
+  try {
+    await db.policies.upsert(policy);
+    return true;
+  } catch (err) {
+    console.log(`   ❌ Could not save ${policy.external_id}: ${err.message}`);
+    return false;
+  }
+}
+
+// Scrapes one source into `db` (a storage.js store). With dryRun nothing is written and `db`
+// may be null; with `full`, pages are fetched even if the site says they haven't changed.
+// Returns { source, pages, notModified, policies, saved, unchanged, failed }.
+async function runSource(source, { db = null, dryRun = false, full = false } = {}) {
+  const delayMs = source.delayMs ?? DEFAULT_DELAY_MS;
+  const stats = { source: source.id, pages: 0, notModified: 0, policies: 0, saved: 0, unchanged: 0, failed: 0 };
+  const conditional = Boolean(db) && !dryRun && !full;
+
+  console.log(`\n🚀 ${source.id}: ${source.description}`);
+  console.log('='.repeat(70));
+
+  const visit = async (page, { expand = false } = {}) => {
+    console.log(`📥 ${page.title}`);
+    console.log(`   ${page.url}`);
+    stats.pages++;
+
+    let html = null;
+    try {
+      const pdf = isPdfUrl(page.url);
+      const state = conditional && !expand ? await loadPageState(db, source.id, page.url) : null;
+      const validators = { etag: state?.etag, lastModified: state?.last_modified };
+      const fetched = pdf ? await fetchFile(page.url, validators) : await fetchHtml(page.url, validators);
+      const sameFile = pdf && !fetched.notModified && conditional && await pdfChecksum(db, source.id, page.url) === checksum(fetched.data);
+      if (fetched.notModified || sameFile) {
+        stats.notModified++;
+        console.log(fetched.notModified ? '   ⏭️  Not modified since the last run' : '   ⏭️  Same file as the last run');
+        await touchPageState(db, source.id, page.url);
+        await sleep(delayMs);
+        return null;
+      }
+
+      let policies;
+      let document = null;
+      if (pdf) {
+        document = await extractPdf(fetched.data);
+        console.log(`   📄 ${document.pageCount} pages, ${document.headings.length} headings`);
+        policies = [pdfPolicy(source, page, document)].filter(Boolean);
+      } else {
+        html = fetched.html;
+        policies = extractPolicies(source, page, html);
+      }
+      if (policies.length === 0) {
+        console.log('   ⚠️  Insufficient content');
+      }
+
+      let saveFailed = false;
+      for (const policy of policies) {
+        stats.policies++;
+        if (dryRun) {
+          console.log(`   🔎 Would save ${policy.external_id} (${policy.content.length} characters)`);
+        } else if (await isUnchanged(db, policy)) {
+          stats.unchanged++;
+          console.log(`   ✔️  ${policy.external_id} unchanged`);
+        } else if (await savePolicy(db, policy)) {
+          stats.saved++;
+          console.log(`   ✅ ${policy.external_id} (${policy.content.length} characters)`);
+        } else {
+          saveFailed = true;
+        }
+      }
+
+      // Without the validators the next run fetches the page again and retries failed saves
+      if (db && !dryRun && !saveFailed) {
+        const hash = contentHash(policies.map(p => p.content).join('\n'));
+        await savePageState(db, source.id, page.url, { etag: fetched.etag, lastModified: fetched.lastModified, hash });
+        if (document) {
+          await savePdfDocument(db, source.id, page.url, {
+            externalId: policies[0]?.external_id || null,
+            pdf: document,
+            byteLength: fetched.data.length
+          });
+        }
+      }
+    } catch (error) {
+      stats.failed++;
+      console.log(`   ❌ ${error.message}`);
+    }
+
+    await sleep(delayMs);
+    return html;
+  };
+
+  if (source.crawl) {
+    await crawlPages(source, visit);
+  } else {
+    for (const page of await listPages(source)) {
+      await visit(page);
+    }
+  }
+
+  const counts = [
+    `${stats.pages} pages`,
+    stats.notModified ? `${stats.notModified} not modified` : null,
+    `${stats.policies} policies`,
+    dryRun ? '(dry run, nothing saved)' : `${stats.saved} saved, ${stats.unchanged} unchanged`,
+    stats.failed ? `${stats.failed} failed` : null
+  ].filter(Boolean);
+  console.log(`\n📊 ${source.id}: ${counts.join(', ')}`);
+  return stats;
+}
+
+module.exports = {
+  SOURCES,
+  buildExternalId,
+  ensureScrapeTables,
+  extractPolicies,
+  getSource,
+  runSource
+};
@@ -2,8 +2,98 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const Anthropic = require('@anthropic-ai/sdk');
-const { Pool } = require('pg');
+const crypto = require('crypto');
+const { createProvider } = require('./llm');
+const { createStorage, ensurePolicyTables } = require('./storage');
+const { ensureSearchIndex, retrieveChunks } = require('./retrieval');
+const { ensureChunkTables, refreshStaleChunks } = require('./chunking');
+const {
+  diffVersions,
+  ensurePolicyVersionTables,
+  getPolicy,
+  listVersions,
+  recordPolicyVersions,
+  scrapeRunId
+} = require('./policy-history');
+const { listPolicyChanges, toAtom } = require('./policy-feed');
+const {
+  ensureConversationTables,
+  getConversationTurns,
+  getOrCreateConversation,
+  historyMessages,
+  loadHistory,
+  rewriteQuery
+} = require('./conversations');
+const { loadPolicyTexts, shiftSpans, verifyCitations } = require('./citations');
+const {
+  deleteCacheEntry,
+  ensureAnswerCacheTables,
+  getCacheStats,
+  getCorpusVersion,
+  listCacheEntries,
+  lookupAnswer,
+  purgeCache,
+  storeAnswer
+} = require('./answer-cache');
+const { classifyIntent, intentResponse } = require('./intent');
+const { detectEmergency, emergencyResponse } = require('./emergency');
+const { scoreDatabaseAnswer, scoreFixedAnswer, scoreWebAnswer, usedFallbackPhrase } = require('./confidence');
+const { createWebSearch } = require('./web-search');
+const { ensureGlossaryTables, expandQuery, getGlossary, loadTerms } = require('./glossary');
+const {
+  calendarAnswer,
+  calendarContext,
+  ensureCalendarTables,
+  findEvents,
+  isDateQuestion,
+  listEvents,
+  listTerms,
+  saveEvents,
+  scrapeCalendar,
+  toICS,
+  today
+} = require('./calendar');
+const { contactLine, ensureContactTables, fillContacts, getContact, listContacts, updateContact } = require('./contacts');
+const {
+  advanceWorkflow,
+  ensureWorkflowTables,
+  listWorkflows,
+  loadWorkflow,
+  resolvePolicies,
+  saveWorkflow
+} = require('./workflows');
+const { needsClarification, normalizeClarifications, withClarifications } = require('./clarify');
+const {
+  describeProfile,
+  ensureApplicabilityTags,
+  normalizeProfile,
+  profileInstruction,
+  profileStatement
+} = require('./profile');
+const {
+  answerLanguageInstruction,
+  detectLanguage,
+  disclaimerFor,
+  englishOnlyNotice,
+  normalizeLanguage,
+  stripDisclaimer,
+  translateToEnglish
+} = require('./language');
+const {
+  dismissDiscoveredPage,
+  ensureDiscoveredPagesTables,
+  listDiscoveredPages,
+  promoteDiscoveredPage,
+  queueDiscoveredPages
+} = require('./discovered-pages');
+const {
+  createTemplateVersion,
+  ensurePromptTables,
+  listTemplates,
+  renderTemplate,
+  selectTemplate,
+  updateTemplate
+} = require('./prompts');
 
 const app = express();
 
@@ -12,40 +102,42 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static('.'));
 
-// Initialize Anthropic
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
+// Admin routes that change data need ADMIN_TOKEN, sent as "Authorization: Bearer <token>" or in
+// an X-Admin-Token header. With no ADMIN_TOKEN configured they're refused.
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ success: false, error: 'Admin access is not configured (set ADMIN_TOKEN)' });
+  }
 
-// Initialize PostgreSQL Pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
+  const authorization = req.get('authorization') || '';
+  const token = Buffer.from(authorization.startsWith('Bearer ') ? authorization.slice(7) : req.get('x-admin-token') || '');
+  const wanted = Buffer.from(expected);
+  if (token.length !== wanted.length || !crypto.timingSafeEqual(token, wanted)) {
+    return res.status(401).json({ success: false, error: 'Admin token required' });
+  }
+  next();
+}
+
+// Initialize the LLM provider (Anthropic, or the offline mock when LLM_PROVIDER=mock)
+const llm = createProvider();
+
+// Web search providers, trusted-domain allowlist and result cache (see web-search.js)
+const webSearch = createWebSearch();
+
+// Postgres when DATABASE_URL is set, else the local SQLite file (see storage.js). Modules take
+// it as `pool` and use pg's query API on either backend.
+const pool = createStorage();
 
 // AUTO-INITIALIZE DATABASE ON STARTUP
 async function initializeDatabase() {
   try {
     console.log('🗄️  Checking database tables...');
     
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS policies (
-        id SERIAL PRIMARY KEY,
-        external_id VARCHAR(255) UNIQUE NOT NULL,
-        title TEXT NOT NULL,
-        category VARCHAR(100) NOT NULL,
-        content TEXT NOT NULL,
-        summary TEXT,
-        source_url TEXT,
-        source_name TEXT,
-        is_active BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    await pool.query(`CREATE INDEX IF NOT EXISTS idx_policies_external_id ON policies(external_id)`);
-    await pool.query(`CREATE INDEX IF NOT EXISTS idx_policies_category ON policies(category)`);
+    await ensurePolicyTables(pool);
+    await ensurePolicyVersionTables(pool);
+    await ensureSearchIndex(pool);
+    await ensureChunkTables(pool);
     
     await pool.query(`
       CREATE TABLE IF NOT EXISTS qa_interactions (
@@ -57,6 +149,26 @@ async function initializeDatabase() {
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
+    await pool.query(`ALTER TABLE qa_interactions ADD COLUMN IF NOT EXISTS citations TEXT`);
+    await pool.query(`ALTER TABLE qa_interactions ADD COLUMN IF NOT EXISTS confidence_score REAL`);
+    await pool.query(`ALTER TABLE qa_interactions ADD COLUMN IF NOT EXISTS confidence_components TEXT`);
+    await pool.query(`ALTER TABLE qa_interactions ADD COLUMN IF NOT EXISTS intent VARCHAR(50)`);
+    await pool.query(`ALTER TABLE qa_interactions ADD COLUMN IF NOT EXISTS intent_confidence REAL`);
+    await pool.query(`ALTER TABLE qa_interactions ADD COLUMN IF NOT EXISTS is_emergency BOOLEAN DEFAULT false`);
+    await pool.query(`ALTER TABLE qa_interactions ADD COLUMN IF NOT EXISTS emergency_type VARCHAR(50)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_qa_interactions_emergency ON qa_interactions(is_emergency) WHERE is_emergency`);
+    await pool.query(`ALTER TABLE qa_interactions ADD COLUMN IF NOT EXISTS language VARCHAR(10) DEFAULT 'en'`);
+    await pool.query(`ALTER TABLE qa_interactions ADD COLUMN IF NOT EXISTS clarification TEXT`);
+    
+    await ensureContactTables(pool);
+    await ensureConversationTables(pool);
+    await ensureAnswerCacheTables(pool);
+    await ensurePromptTables(pool);
+    await ensureDiscoveredPagesTables(pool);
+    await ensureGlossaryTables(pool);
+    await ensureApplicabilityTags(pool);
+    await ensureCalendarTables(pool);
+    await ensureWorkflowTables(pool);
     
     await pool.query(`
       INSERT INTO policies (external_id, title, category, content, summary, source_url, source_name)
@@ -72,6 +184,9 @@ async function initializeDatabase() {
       'Sample Policy'
     ]);
     
+    await refreshStaleChunks(pool);
+    await recordPolicyVersions(pool, { scrapeRun: scrapeRunId('startup') });
+
     const result = await pool.query('SELECT COUNT(*) FROM policies');
     console.log(`✅ Database initialized. Policies in database: ${result.rows[0].count}`);
     
@@ -81,15 +196,52 @@ async function initializeDatabase() {
   }
 }
 
-const SUFFOLK_INSTRUCTIONS = `You are a helpful guide to Suffolk Law School. Provide brief, neutral answers.
-
-TONE: Neutral and informative. Use "According to..." and "The policy states..." Avoid "You must" unless quoting.
-
-CONTACTS: Academic (AcadServLaw@suffolk.edu), Dean (LawDeanofStudents@suffolk.edu), Emergency (617-573-8111 for emergencies only)
-
-OUT OF SCOPE: Coursework → "Direct to professor." Unrelated → "Outside my scope."
+// Log a Q&A turn; returns the interaction id, or null if logging failed
+async function logInteraction({ question, answer, sources, confidence, citations = [], conversationId = null, cacheHit = false, intent = null, emergency = null, promptTemplate = null, language = 'en', clarification = null, profile = null }) {
+  try {
+    const result = await pool.query(`
+      INSERT INTO qa_interactions
+        (question, answer, sources, confidence, confidence_score, confidence_components, citations, conversation_id, cache_hit,
+         intent, intent_confidence, is_emergency, emergency_type, prompt_template_id, prompt_version, language, clarification, profile)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18) RETURNING id
+    `, [
+      question, answer, JSON.stringify(sources),
+      confidence.level, confidence.score, JSON.stringify(confidence.components),
+      JSON.stringify(citations), conversationId, cacheHit,
+      intent?.intent || null, intent?.confidence ?? null,
+      Boolean(emergency), emergency?.type || null,
+      promptTemplate?.id || null, promptTemplate?.version ?? null, language,
+      clarification ? JSON.stringify(clarification) : null,
+      profile ? JSON.stringify(profile) : null
+    ]);
+    return result.rows[0].id;
+  } catch (logErr) {
+    console.error('Warning: Could not log interaction:', logErr);
+    return null;
+  }
+}
 
-ALWAYS END WITH: "⚠️ Please note: This tool can make mistakes. Verify with actual Suffolk Law policies or contact AcadServLaw@suffolk.edu or LawDeanofStudents@suffolk.edu."`;
+// One source per distinct section link, in rank order
+function toSources(passages, limit = 5) {
+  const seen = new Set();
+  const sources = [];
+  for (const p of passages) {
+    if (seen.has(p.url)) continue;
+    seen.add(p.url);
+    sources.push({
+      id: p.policy_id,
+      chunk_id: p.chunk_id,
+      title: p.title,
+      section: p.heading,
+      pages: p.pages || null,
+      category: p.category,
+      url: p.url,
+      score: p.score
+    });
+    if (sources.length >= limit) break;
+  }
+  return sources;
+}
 
 // Routes
 app.get('/', (req, res) => {
@@ -117,21 +269,14 @@ app.get('/health', async (req, res) => {
 app.get('/api/policies', async (req, res) => {
   try {
     const category = req.query.category;
-    let query = 'SELECT * FROM policies WHERE is_active = true';
-    const params = [];
-    
-    if (category && category !== 'all') {
-      query += ' AND category = $1';
-      params.push(category);
-    }
-    
-    query += ' ORDER BY last_updated DESC LIMIT 50';
-    
-    const result = await pool.query(query, params);
+    const policies = await pool.policies.list({
+      category: category && category !== 'all' ? category : null,
+      limit: 50
+    });
     res.json({ 
       success: true, 
-      policies: result.rows, 
-      count: result.rows.length 
+      policies, 
+      count: policies.length 
     });
   } catch (err) {
     console.error('❌ Database error:', err);
@@ -139,163 +284,492 @@ app.get('/api/policies', async (req, res) => {
   }
 });
 
-app.post('/api/ask', async (req, res) => {
+// Recorded versions of a policy, newest first
+app.get('/api/policies/:id/history', async (req, res) => {
   try {
-    const { question } = req.body;
-    
-    if (!question || question.length < 5) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Please provide a question (at least 5 characters)' 
-      });
+    const id = parseInt(req.params.id, 10);
+    const policy = Number.isInteger(id) ? await getPolicy(pool, id) : null;
+    if (!policy) {
+      return res.status(404).json({ success: false, error: 'Policy not found' });
     }
-    
-    console.log('\n🤔 Question:', question);
 
-    const lowerQ = question.toLowerCase();
-    if (lowerQ.includes('solve') || lowerQ.includes('homework') || lowerQ.includes('assignment')) {
-      return res.json({
-        success: true,
-        question,
-        answer: "This is the kind of question that is best directed to your professor.\n\n⚠️ Please note: This tool can make mistakes. Verify with actual Suffolk Law policies or contact AcadServLaw@suffolk.edu or LawDeanofStudents@suffolk.edu.",
-        sources: [],
-        confidence: 'high',
-        timestamp: new Date().toISOString()
-      });
+    const versions = await listVersions(pool, id);
+    res.json({ success: true, policy, versions, count: versions.length });
+  } catch (err) {
+    console.error('Error reading policy history:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Word-level diff between two versions: ?from=&to= (defaults: the latest and the one before it)
+app.get('/api/policies/:id/diff', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const policy = Number.isInteger(id) ? await getPolicy(pool, id) : null;
+    if (!policy) {
+      return res.status(404).json({ success: false, error: 'Policy not found' });
     }
 
-    // First, try to find relevant policies in database
-    const result = await pool.query(
-      'SELECT * FROM policies WHERE is_active = true ORDER BY last_updated DESC LIMIT 15'
-    );
-    
-    const policies = result.rows;
-    
-    // If we have policies, use them
-    if (policies && policies.length > 0) {
-      console.log(`📚 Found ${policies.length} policies in database`);
+    const diff = await diffVersions(pool, id, { from: req.query.from, to: req.query.to });
+    res.json({ success: true, policy, ...diff });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
+    console.error('Error diffing policy versions:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-      const context = policies.map((p, i) => 
-        `[Policy ${i+1}]\nTitle: ${p.title}\nContent: ${p.content.substring(0, 1000)}\nURL: ${p.source_url}\n---`
-      ).join('\n\n');
+// Glossary terms with their definitions and linked policies, for the answer tooltips
+app.get('/api/glossary', async (req, res) => {
+  try {
+    const terms = await getGlossary(pool);
+    res.json({ success: true, terms, count: terms.length });
+  } catch (err) {
+    console.error('❌ Database error:', err);
+    res.status(500).json({ success: false, error: 'Database error' });
+  }
+});
 
-      console.log('🧠 Asking Claude with database policies...');
+// Guided workflows for common procedures (missing class, exam emergencies, ...)
+app.get('/api/workflows', async (req, res) => {
+  try {
+    const workflows = await listWorkflows(pool);
+    res.json({ success: true, workflows, count: workflows.length });
+  } catch (err) {
+    console.error('❌ Database error:', err);
+    res.status(500).json({ success: false, error: 'Database error' });
+  }
+});
 
-      const response = await anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 1500,
-        temperature: 0.2,
-        messages: [{
-          role: 'user',
-          content: `${SUFFOLK_INSTRUCTIONS}
+// The full definition, with its linked policies resolved
+app.get('/api/workflows/:id', async (req, res) => {
+  try {
+    const workflow = await loadWorkflow(pool, req.params.id);
+    if (!workflow) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+    res.json({ success: true, workflow: { ...workflow, policies: await resolvePolicies(pool, workflow.policies || []) } });
+  } catch (err) {
+    console.error('❌ Database error:', err);
+    res.status(500).json({ success: false, error: 'Database error' });
+  }
+});
 
-POLICIES:
-${context}
+// Body: { answers: { <step id>: <option value> } }. Returns the path taken and the next question
+// or the outcome; send no answers to get the first question.
+app.post('/api/workflows/:id/step', async (req, res) => {
+  try {
+    const workflow = await loadWorkflow(pool, req.params.id);
+    if (!workflow) {
+      return res.status(404).json({ success: false, error: 'Workflow not found' });
+    }
+    const { path, step } = await advanceWorkflow(pool, workflow, req.body?.answers || {});
+    res.json({ success: true, workflow: { id: workflow.id, title: workflow.title }, path, step });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    console.error('Error advancing workflow:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-QUESTION: ${question}
+// Offices directory: ?topic=exam for the offices that handle a topic
+app.get('/api/contacts', (req, res) => {
+  const offices = listContacts({ topic: req.query.topic || null });
+  res.json({ success: true, offices, count: offices.length });
+});
 
-Answer briefly using ONLY these policies. If these policies don't fully answer the question, say "I found some relevant information in my database, but I should search Suffolk Law's website for more complete information." Cite by name. Include URLs as clickable links. Keep concise. End with disclaimer.`
-        }]
-      });
+// Academic calendar events: ?term=Fall 2026&category=exams&from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get('/api/calendar', async (req, res) => {
+  try {
+    const events = await listEvents(pool, calendarFilters(req.query));
+    res.json({ success: true, events, terms: await listTerms(pool), count: events.length, today: today() });
+  } catch (err) {
+    console.error('❌ Database error:', err);
+    res.status(500).json({ success: false, error: 'Database error' });
+  }
+});
 
-      let answer = response.content[0].text;
-      let sources = policies.slice(0, 5).map(p => ({
-  id: p.id,
-  title: p.title,
-  category: p.category,
-  url: p.source_url
-}));
-      // Check if Claude suggests we need more info
-if (
-  answer.includes('should search') ||
-  answer.includes('more complete information') ||
-  answer.includes("don't fully address")
-) {
-  console.log('🔍 Database policies insufficient, searching Suffolk Law website...');
-
-  try {
-    const webPack = await searchWeb(question, { siteLimit: 'suffolk.edu', maxResults: 3 });
-
-    if (webPack && webPack.text) {
-      answer =
-        `Based on my database:\n${answer}\n\n---\n\n` +
-        `**Additional information found on the web:**\n${webPack.text}`;
-
-      if (webPack.results?.length) {
-        sources.unshift({
-          title: webPack.results[0].title,
-          category: 'web',
-          url: webPack.results[0].link
-        });
-      }
-    }
-  } catch (searchErr) {
-    console.error('Web search error:', searchErr);
+// The same events as an iCalendar feed for calendar app subscriptions; takes the same filters
+app.get('/api/calendar.ics', async (req, res) => {
+  try {
+    const filters = calendarFilters(req.query);
+    const events = await listEvents(pool, filters);
+    res.type('text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="suffolk-law-academic-calendar.ics"');
+    res.send(toICS(events, { name: filters.term ? `Suffolk Law Academic Calendar (${filters.term})` : undefined }));
+  } catch (err) {
+    console.error('❌ Database error:', err);
+    res.status(500).json({ success: false, error: 'Database error' });
+  }
+});
+
+// Atom feed of policy changes; ?category= narrows it to one category
+app.get('/feeds/policies.atom', async (req, res) => {
+  try {
+    const category = req.query.category && req.query.category !== 'all' ? req.query.category : null;
+    const changes = await listPolicyChanges(pool, { category });
+    const siteUrl = `${req.protocol}://${req.get('host')}`;
+    res.type('application/atom+xml; charset=utf-8');
+    res.send(toAtom(changes, { selfUrl: `${siteUrl}${req.originalUrl}`, siteUrl, category }));
+  } catch (err) {
+    console.error('❌ Database error:', err);
+    res.status(500).json({ success: false, error: 'Database error' });
   }
+});
+
+function calendarFilters(query) {
+  const date = value => (/^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : null);
+  return {
+    term: query.term && query.term !== 'all' ? query.term : null,
+    category: query.category && query.category !== 'all' ? query.category : null,
+    from: date(query.from),
+    to: date(query.to)
+  };
 }
-      
-      if (!answer.includes('⚠️')) {
-        answer += '\n\n⚠️ Please note: This tool can make mistakes. Verify with actual Suffolk Law policies or contact AcadServLaw@suffolk.edu or LawDeanofStudents@suffolk.edu.';
-      }
 
-      const sources = policies.slice(0, 5).map(p => ({
-        id: p.id,
-        title: p.title,
-        category: p.category,
-        url: p.source_url
-      }));
+// Ask the model, streaming text through onText as it's generated when a caller wants it
+async function generateAnswer(params, { onText, signal } = {}) {
+  const result = onText
+    ? await llm.stream(params, { onText, signal })
+    : await llm.complete(params, { signal });
+  return result.text;
+}
+
+// The whole Q&A pipeline for one question. `hooks.onSources` and `hooks.onText` see the sources
+// and the answer text as soon as they're available, which is what /api/ask/stream forwards.
+async function answerQuestion({ question: asked, conversationId, language: requestedLanguage, clarifications: choices, clarify = true, profile: studentProfile }, hooks = {}) {
+  const onSources = hooks.onSources || (() => {});
+  const onText = hooks.onText || (() => {});
+
+  // Choices from a clarifying question are added to the question itself, so they're logged,
+  // searched and remembered by later turns like anything else the student said
+  const clarifications = normalizeClarifications(choices);
+  const clarified = Object.keys(clarifications).length > 0;
+  const question = withClarifications(asked, clarifications);
+  const profile = normalizeProfile(studentProfile);
+
+  const conversation = await getOrCreateConversation(pool, conversationId);
+  const history = await loadHistory(pool, conversation.id);
+
+  // Other languages are answered in that language, but searched and screened in English
+  const language = normalizeLanguage(requestedLanguage) || detectLanguage(question).language;
+  let englishQuestion = question;
+  if (language !== 'en') {
+    try {
+      englishQuestion = await translateToEnglish(llm, question, language);
+      console.log(`🌐 Language: ${language}, English pivot: "${englishQuestion}"`);
+    } catch (translateErr) {
+      console.error('Warning: Could not translate question:', translateErr.message);
+    }
+  }
+
+  const intent = classifyIntent(englishQuestion);
+  console.log(`🏷️  Intent: ${intent.intent} (${intent.confidence})`);
+
+  // Set once the question is known to be standalone, and so cacheable
+  let corpusVersion = null;
 
-      console.log('✅ Answer generated!\n');
+  // Every answer is logged as a turn of the conversation before it goes out
+  const finish = async ({ answer, sources, confidence, citations = [], citationSpans = [], cacheHit = false, emergency = null, promptTemplate = null, clarification = null, profileUsed = false }) => {
+    const interactionId = await logInteraction({
+      question, answer, sources, confidence, citations, conversationId: conversation.id, cacheHit, intent, emergency, promptTemplate, language, clarification, profile
+    });
 
+    if (corpusVersion && !cacheHit && !clarification && confidence.level !== 'low') {
       try {
-        await pool.query(
-          'INSERT INTO qa_interactions (question, answer, sources, confidence) VALUES ($1, $2, $3, $4)',
-          [question, answer, JSON.stringify(sources), 'high']
-        );
-      } catch (logErr) {
-        console.error('Warning: Could not log interaction:', logErr);
+        await storeAnswer(pool, question, corpusVersion, { answer, sources, confidence, citations, citationSpans });
+      } catch (cacheErr) {
+        console.error('Warning: Could not cache answer:', cacheErr);
       }
+    }
+
+    return {
+      question,
+      answer,
+      sources,
+      confidence: confidence.level,
+      confidence_score: confidence.score,
+      confidence_components: confidence.components,
+      citations,
+      citation_spans: citationSpans,
+      cache_hit: cacheHit,
+      intent: intent.intent,
+      emergency: emergency ? { type: emergency.type } : null,
+      clarification,
+      profile,
+      // Only answers generated from the policies are tailored to the profile
+      profile_assumptions: profileUsed && profile ? describeProfile(profile) : null,
+      language,
+      conversation_id: conversation.id,
+      interaction_id: interactionId,
+      timestamp: new Date().toISOString()
+    };
+  };
+
+  // Fixed answers arrive all at once
+  const finishFixed = (result) => {
+    onSources(result.sources);
+    onText(result.answer);
+    return finish(result);
+  };
 
-      return res.json({
-        success: true,
-        question,
-        answer,
-        sources,
-        confidence: 'high',
-        timestamp: new Date().toISOString()
+  // Reviewed responses exist only in English; say so above them for other languages
+  const inEnglish = (answer) => {
+    const notice = englishOnlyNotice(language);
+    return notice ? `${notice}\n\n${answer}` : answer;
+  };
+
+  // Urgent situations get the reviewed emergency response before anything else runs. The
+  // classifier's emergency intent alone isn't enough: "family emergency" or "emergency closing"
+  // questions are policy questions.
+  const emergency = detectEmergency(englishQuestion) || detectEmergency(question);
+  if (emergency) {
+    console.warn(`🚨 EMERGENCY (${emergency.type}) detected${emergency.matched ? `: "${emergency.matched}"` : ''}`);
+    return finishFixed({
+      answer: inEnglish(emergencyResponse(emergency.type)),
+      sources: [],
+      confidence: scoreFixedAnswer({ answered: true }),
+      emergency
+    });
+  }
+
+  // Coursework, out-of-scope and feedback questions get their own fixed response
+  const template = intentResponse(intent.intent);
+  if (template) {
+    return finishFixed({
+      answer: inEnglish(template),
+      sources: [],
+      confidence: scoreFixedAnswer({ answered: true })
+    });
+  }
+
+  // Date questions are answered relative to today, so they're never cached
+  const dateQuestion = isDateQuestion(englishQuestion);
+
+  // Standalone English questions can come from the cache; follow-ups depend on the rest of the
+  // thread, cached answers are all in English, and clarified or profile-specific ones are
+  // specific to the student
+  if (history.length === 0 && language === 'en' && !clarified && !profile && !dateQuestion) {
+    corpusVersion = await getCorpusVersion(pool);
+    const cached = await lookupAnswer(pool, question, corpusVersion);
+    if (cached) {
+      console.log(`⚡ Answer cache hit (similarity ${cached.similarity.toFixed(2)})`);
+      return finishFixed({ ...cached.response, cacheHit: true });
+    }
+  }
+
+  // Follow-ups like "what about intersession?" are searched together with the earlier question
+  const followUpQuery = rewriteQuery(englishQuestion, history);
+  if (followUpQuery !== englishQuestion) {
+    console.log('🔁 Follow-up, searching for:', followUpQuery);
+  }
+
+  // Shorthand like "LOA" or "1L" is searched together with the term the policies spell out, and
+  // the policies the glossary links to that term rank higher
+  const expansion = expandQuery(followUpQuery, await loadTerms(pool));
+  const searchQuery = expansion.query;
+  if (expansion.matched.length > 0) {
+    console.log(`📖 Glossary: ${expansion.matched.map(m => `${m.matched} → ${m.term}`).join(', ')}`);
+  }
+
+  // First, find the policy passages that best match the question
+  const passages = await retrieveChunks(pool, searchQuery, { profile, linkedPolicies: expansion.policies });
+
+  // Dates come from the academic calendar, not from whatever the policies say about timing
+  const now = today();
+  let calendarEvents = [];
+  if (dateQuestion) {
+    try {
+      calendarEvents = await findEvents(pool, followUpQuery, { now });
+      if (calendarEvents.length > 0) {
+        console.log(`📅 Calendar: ${calendarEvents.map(e => `${e.event} (${e.start_date})`).join(', ')}`);
+      }
+    } catch (calendarErr) {
+      console.error('Warning: Could not read academic calendar:', calendarErr.message);
+    }
+  }
+  const calendarSource = calendarEvents.length > 0
+    ? { title: 'Suffolk Law Academic Calendar', category: 'calendar', url: calendarEvents[0].source_url }
+    : null;
+  
+  // If we have matching passages, use them
+  if (passages.length > 0) {
+    console.log(`📚 Retrieved ${passages.length} ranked passages (top score ${passages[0].score.toFixed(3)})`);
+
+    // Ask rather than guess when the passages differ on something the student hasn't said.
+    // The original question and the choices so far come back so the client can resubmit.
+    const branch = clarify && needsClarification(
+      [englishQuestion, profileStatement(profile), ...history.map(turn => turn.question)].join('\n'), passages, clarifications
+    );
+    if (branch) {
+      console.log(`❓ Asking for clarification: ${branch.attribute}`);
+      return finishFixed({
+        answer: branch.prompt,
+        sources: toSources(passages),
+        confidence: scoreFixedAnswer({ answered: true }),
+        clarification: { ...branch, question: asked, clarifications }
       });
     }
+
+    const context = passages.map((p, i) => 
+      `[${i+1}]\nTitle: ${p.title}${p.heading ? `\nSection: ${p.heading}` : ''}${p.pages ? `\nPDF ${p.pages}` : ''}\nContent: ${p.content}\nURL: ${p.url}\n---`
+    ).join('\n\n');
+
+    onSources(toSources(passages));
+
+    // A conversation stays on the same template version for all of its turns
+    const promptTemplate = await selectTemplate(pool, 'answer', { bucketKey: conversation.id });
+    console.log(`🧠 Asking Claude with database policies (prompt v${promptTemplate.version}, ${history.length} earlier turns)...`);
+
+    let answer = await generateAnswer({
+      profile: 'answer',
+      messages: [
+        ...historyMessages(history),
+        {
+          role: 'user',
+          content: renderTemplate(promptTemplate.body, {
+            context,
+            question,
+            history: history.length > 0
+              ? '\nThis is a follow-up in an ongoing conversation. Use the earlier questions and answers above to interpret the QUESTION.\n'
+              : ''
+          }) + calendarContext(calendarEvents, now) + profileInstruction(profile) + answerLanguageInstruction(language, { keepFallbackSentence: true })
+        }
+      ]
+    }, hooks.onText ? { onText, signal: hooks.signal } : {});
+
+    // Keep only markers that point at passages we actually sent, and check quoted text
+    const policyTexts = await loadPolicyTexts(pool, [...new Set(passages.map(p => p.policy_id))]);
+    const verification = verifyCitations(answer, passages, policyTexts);
+    answer = language === 'en' ? verification.answer : stripDisclaimer(verification.answer);
+    let citationSpans = verification.spans;
+    if (verification.invalid.length > 0) {
+      console.log(`⚠️  Dropped citations outside the context: ${verification.invalid.join(', ')}`);
+    }
+
+    // Sources are the passages the answer cites, or everything sent if it cites nothing
+    const cited = verification.citations.map(c => passages[c.n - 1]);
+    const sources = toSources(cited.length > 0 ? cited : passages);
+    if (calendarSource) sources.push(calendarSource);
+    onSources(sources);
+
+    const modelAnswer = answer;
+    let usedWeb = false;
+
+    // Check if Claude suggests we need more info
+    if (usedFallbackPhrase(answer)) {
+      console.log('🔍 Database policies insufficient, searching Suffolk Law website...');
+
+      try {
+        const webPack = await searchWeb(searchQuery, { siteLimit: 'suffolk.edu', maxResults: 3, language });
+
+        if (webPack && webPack.text) {
+          const addition = `\n\n---\n\n**Additional information found on the web:**\n${webPack.text}`;
+          const prefix = 'Based on my database:\n';
+          onText(addition);
+          answer = `${prefix}${answer}${addition}`;
+          citationSpans = shiftSpans(citationSpans, prefix.length);
+          usedWeb = true;
+
+          if (webPack.results?.length) {
+            sources.unshift({
+              title: webPack.results[0].title,
+              category: 'web',
+              url: webPack.results[0].link
+            });
+            onSources(sources);
+          }
+        }
+      } catch (searchErr) {
+        console.error('Web search error:', searchErr);
+      }
+    }
     
-    // No policies in database - search website directly
-console.log('📭 No policies in database, searching Suffolk Law website...');
-try {
-  const webOnly = await searchWeb(question, { siteLimit: 'suffolk.edu', maxResults: 3 });
-  if (webOnly?.text) {
-    return res.json({
-      success: true,
-      question,
-      answer: `${webOnly.text}\n\n⚠️ Please note: This information was found on the web. Verify with actual Suffolk Law policies or contact AcadServLaw@suffolk.edu or LawDeanofStudents@suffolk.edu.`,
-      sources: (webOnly.results || []).map(r => ({
-        title: r.title,
-        category: 'web',
-        url: r.link
-      })),
-      confidence: 'medium',
-      timestamp: new Date().toISOString()
+    // Non-English answers had the model's disclaimer removed above and always get the reviewed one
+    if (!answer.includes('⚠️') || language !== 'en') {
+      const disclaimer = `\n\n${disclaimerFor(language)}`;
+      onText(disclaimer);
+      answer += disclaimer;
+    }
+
+    const confidence = scoreDatabaseAnswer({ passages, modelAnswer, verification, usedWeb });
+    console.log(`✅ Answer generated! (confidence ${confidence.level}, ${confidence.score})\n`);
+
+    return finish({
+      answer,
+      sources,
+      confidence,
+      citations: verification.citations,
+      citationSpans,
+      promptTemplate,
+      profileUsed: true
+    });
+  }
+  
+  // A date question the policies don't cover can still be answered from the calendar
+  if (calendarEvents.length > 0) {
+    return finishFixed({
+      answer: inEnglish(`${calendarAnswer(calendarEvents, now)}\n\n${disclaimerFor('en')}`),
+      sources: [calendarSource],
+      confidence: scoreFixedAnswer({ answered: true })
     });
   }
-} catch (searchErr) {
-  console.error('Web search failed:', searchErr);
+
+  // No matching policies in database - search website directly
+  console.log('📭 No matching policies in database, searching Suffolk Law website...');
+  try {
+    const webOnly = await searchWeb(searchQuery, { siteLimit: 'suffolk.edu', maxResults: 3, language });
+    if (webOnly?.text) {
+      return finishFixed({
+        answer: language === 'en'
+          ? `${webOnly.text}\n\n${fillContacts('⚠️ Please note: This information was found on the web. Verify with actual Suffolk Law policies or contact {{academic_services_email}} or {{dean_of_students_email}}.')}`
+          : `${stripDisclaimer(webOnly.text)}\n\n${disclaimerFor(language)}`,
+        sources: (webOnly.results || []).map(r => ({
+          title: r.title,
+          category: 'web',
+          url: r.link
+        })),
+        confidence: scoreWebAnswer({ results: webOnly.results || [] })
+      });
+    }
+  } catch (searchErr) {
+    console.error('Web search failed:', searchErr);
+  }
+  
+  // Fallback if everything fails
+  return finishFixed({
+    answer: inEnglish(fillContacts("I currently don't have enough information to answer this question. Please contact {{academic_services_email}} or {{dean_of_students_email}} for assistance.\n\n⚠️ Please note: This tool can make mistakes. Always verify with actual Suffolk Law policies.")),
+    sources: [],
+    confidence: scoreFixedAnswer({ answered: false })
+  });
+}
+
+function validateQuestion(question) {
+  if (!question || question.length < 5) {
+    return 'Please provide a question (at least 5 characters)';
+  }
+  return null;
+}
+
+app.post('/api/ask', async (req, res) => {
+  try {
+    const { question, conversation_id, language, clarifications, clarify, profile } = req.body;
     
-    // Fallback if everything fails
-    return res.json({
-      success: true,
-      question,
-      answer: "I currently don't have enough information to answer this question. Please contact AcadServLaw@suffolk.edu or LawDeanofStudents@suffolk.edu for assistance.\n\n⚠️ Please note: This tool can make mistakes. Always verify with actual Suffolk Law policies.",
-      sources: [],
-      confidence: 'low',
-      timestamp: new Date().toISOString()
+    const invalid = validateQuestion(question);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+    
+    console.log('\n🤔 Question:', question);
+
+    const result = await answerQuestion({
+      question, conversationId: conversation_id, language, clarifications, clarify: clarify !== false, profile
     });
+    res.json({ success: true, ...result });
 
   } catch (error) {
     console.error('❌ Server error:', error);
@@ -306,113 +780,105 @@ try {
   }
 });
 
-// Helper function to search Suffolk Law website
-// ---- Web search helper (Google CSE -> DuckDuckGo fallback) ----
-async function searchWeb(question, { siteLimit = null, maxResults = 3 } = {}) {
-  const axios = require('axios');
-  const cheerio = require('cheerio');
+// Same as /api/ask, but as Server-Sent Events: `sources` when the context is chosen (and again
+// if it changes), `token` for each piece of answer text, then `done` with the final answer,
+// confidence and interaction id. Failures after the stream has started arrive as `error`.
+app.post('/api/ask/stream', async (req, res) => {
+  const { question, conversation_id, language, clarifications, clarify, profile } = req.body;
 
-  // Build a reasonable query (keep it simple and robust)
-  const keywords = question
-    .toLowerCase()
-    .replace(/[?.,!]/g, ' ')
-    .split(/\s+/)
-    .filter(w => w.length > 3 && !['what','when','where','how','should','would','could','the','this','that','does','can','with','from','your','about'].includes(w))
-    .slice(0, 6)
-    .join(' ');
-
-  const q = siteLimit ? `${keywords} site:${siteLimit}` : keywords;
-
-  const tryGoogleCSE = async () => {
-    const { GOOGLE_API_KEY, GOOGLE_CSE_ID } = process.env;
-    if (!GOOGLE_API_KEY || !GOOGLE_CSE_ID) return null;
+  const invalid = validateQuestion(question);
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
+  }
 
-    const url = 'https://www.googleapis.com/customsearch/v1';
-    const { data } = await axios.get(url, {
-      params: { key: GOOGLE_API_KEY, cx: GOOGLE_CSE_ID, q, num: maxResults }
-    });
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
 
-    if (!data.items || !Array.isArray(data.items)) return null;
+  const abort = new AbortController();
+  res.on('close', () => abort.abort());
 
-    return data.items
-      .filter(it => it.link && it.title)
-      .slice(0, maxResults)
-      .map(it => ({
-        title: it.title,
-        snippet: it.snippet || '',
-        link: it.link
-      }));
+  const send = (event, data) => {
+    if (res.writableEnded || abort.signal.aborted) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
   };
 
-  const tryDuckDuckGo = async () => {
-    // DuckDuckGo HTML endpoint; simple, stable markup we can parse
-    const searchUrl = `https://duckduckgo.com/html/?q=${encodeURIComponent(q)}`;
-    const resp = await axios.get(searchUrl, {
-      headers: { 'User-Agent': 'Mozilla/5.0' },
-      timeout: 15000
-    });
+  console.log('\n🤔 Question (streaming):', question);
 
-    const $ = cheerio.load(resp.data);
-    const results = [];
-    $('.result').each((i, el) => {
-      if (results.length >= maxResults) return;
-      const $el = $(el);
-      const $a = $el.find('a.result__a');
-      const $snip = $el.find('.result__snippet');
-      const title = $a.text().trim();
-      let link = $a.attr('href');
-      const snippet = $snip.text().trim();
-
-      // Skip junk
-      if (!title || !link) return;
-
-      // DuckDuckGo sometimes wraps links; prefer direct http(s)
-      const m = link.match(/https?:\/\/[^\s&]+/i);
-      if (m) link = m[0];
-
-      results.push({ title, snippet, link });
+  try {
+    const result = await answerQuestion({
+      question, conversationId: conversation_id, language, clarifications, clarify: clarify !== false, profile
+    }, {
+      onSources: (sources) => send('sources', { sources }),
+      onText: (text) => send('token', { text }),
+      signal: abort.signal
     });
+    send('done', { success: true, ...result });
+  } catch (error) {
+    if (!abort.signal.aborted) {
+      console.error('❌ Streaming error:', error);
+    }
+    send('error', { success: false, error: 'Server error. Please try again later.' });
+  }
+  res.end();
+});
 
-    return results;
-  };
+app.get('/api/conversations/:id', async (req, res) => {
+  try {
+    const turns = await getConversationTurns(pool, req.params.id);
+    res.json({ success: true, conversation_id: req.params.id, turns });
+  } catch (err) {
+    console.error('❌ Database error:', err);
+    res.status(500).json({ success: false, error: 'Database error' });
+  }
+});
 
+// Full text is read from this many of the top results; the rest go in as snippets
+const WEB_FETCH_PAGES = parseInt(process.env.WEB_FETCH_PAGES || '2', 10);
+const WEB_PAGE_CHARS = 4000;
+
+// Web search fallback: trusted results from the configured providers, read in full where
+// possible and summarized by the model
+async function searchWeb(question, { siteLimit = null, maxResults = 3, language = 'en' } = {}) {
   try {
-    let results = await tryGoogleCSE();
-    if (!results || results.length === 0) {
-      results = await tryDuckDuckGo();
+    const results = await webSearch.search(question, { siteLimit, maxResults });
+    if (results.length === 0) return null;
+
+    const pages = await webSearch.fetchPages(results.slice(0, WEB_FETCH_PAGES));
+    console.log(`📄 Read ${pages.length} of the top ${Math.min(results.length, WEB_FETCH_PAGES)} result pages`);
+
+    // suffolk.edu pages we don't track yet go to the discovered pages queue for review
+    try {
+      const queued = await queueDiscoveredPages(pool, pages, question);
+      if (queued > 0) console.log(`📥 Queued ${queued} discovered pages for review`);
+    } catch (queueErr) {
+      console.error('Warning: Could not queue discovered pages:', queueErr);
     }
-    if (!results || results.length === 0) return null;
 
     // Create a compact context for the LLM
-    const context = results.map((r, i) =>
-      `[Result ${i + 1}]\nTitle: ${r.title}\nSnippet: ${r.snippet}\nURL: ${r.link}\n---`
-    ).join('\n\n');
-
-    // Ask Anthropic to synthesize a short answer that includes a link or two
-    const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
-    const synth = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 600,
-      temperature: 0.2,
+    const context = results.map((r, i) => {
+      const page = pages.find(p => p.result === r);
+      const pageText = page ? `\nPage text: ${page.content.substring(0, WEB_PAGE_CHARS)}` : '';
+      return `[Result ${i + 1}]\nTitle: ${r.title}\nSnippet: ${r.snippet}${pageText}\nURL: ${r.link}\n---`;
+    }).join('\n\n');
+
+    // Ask the model to synthesize a short answer that includes a link or two
+    const promptTemplate = await selectTemplate(pool, 'websearch');
+    const synth = await llm.complete({
+      profile: 'websearch',
       messages: [{
         role: 'user',
-        content:
-`You are helping Suffolk Law students find reliable, official info.
-
-Search results:
-${context}
-
-Original question: ${question}
-
-Write a brief, helpful summary using these results. Prefer official university or government pages when present.
-- Include 1–2 direct links (the best ones) inline in the text.
-- If the results seem off-topic or unclear, say so explicitly.`
+        content: renderTemplate(promptTemplate.body, { context, question }) + answerLanguageInstruction(language)
       }]
     });
 
     // Return both the text and the structured results so the UI can show sources
     return {
-      text: synth.content[0].text,
+      text: synth.text,
       results
     };
   } catch (err) {
@@ -493,6 +959,9 @@ app.get('/admin/populate-db', async (req, res) => {
       added++;
     }
 
+    await refreshStaleChunks(pool);
+    await recordPolicyVersions(pool, { scrapeRun: scrapeRunId('admin:populate-db') });
+
     const result = await pool.query('SELECT COUNT(*) FROM policies');
     
     res.json({
@@ -697,26 +1166,19 @@ app.get('/admin/full-populate', async (req, res) => {
     let updated = 0;
     
     for (const p of allPolicies) {
-      const result = await pool.query(`
-        INSERT INTO policies (external_id, title, category, content, summary, source_url, source_name)
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
-        ON CONFLICT (external_id) DO UPDATE SET
-  content = EXCLUDED.content,
-  summary = EXCLUDED.summary,
-  source_url = EXCLUDED.source_url,
-  source_name = EXCLUDED.source_name,
-  last_updated = CURRENT_TIMESTAMP
-        RETURNING (xmax = 0) AS inserted
-      `, [p.external_id, p.title, p.category, p.content, p.summary, p.source_url, p.source_name]);
+      const result = await pool.policies.upsert(p);
       
-      if (result.rows[0].inserted) {
+      if (result.inserted) {
         added++;
       } else {
         updated++;
       }
     }
 
-    const count = await pool.query('SELECT COUNT(*) FROM policies');
+    await refreshStaleChunks(pool);
+    await recordPolicyVersions(pool, { scrapeRun: scrapeRunId('admin:full-populate') });
+
+    const total = await pool.policies.count();
     
     console.log(`✅ Added ${added} new, updated ${updated} existing policies`);
     
@@ -724,13 +1186,251 @@ app.get('/admin/full-populate', async (req, res) => {
       success: true,
       added: added,
       updated: updated,
-      total: parseInt(count.rows[0].count)
+      total
     });
   } catch (err) {
     console.error('❌ Error populating database:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
+// Admin report of questions routed to the emergency response
+app.get('/admin/emergencies', requireAdmin, async (req, res) => {
+  try {
+    // Anything but a positive whole number of days falls back to 30
+    const requested = Number(req.query.days);
+    const days = Number.isInteger(requested) && requested > 0 ? requested : 30;
+    const byType = await pool.query(`
+      SELECT emergency_type, COUNT(*) AS count
+      FROM qa_interactions
+      WHERE is_emergency AND created_at > NOW() - ($1 || ' days')::interval
+      GROUP BY emergency_type
+      ORDER BY count DESC
+    `, [String(days)]);
+    const recent = await pool.query(`
+      SELECT id, question, emergency_type, conversation_id, created_at
+      FROM qa_interactions
+      WHERE is_emergency AND created_at > NOW() - ($1 || ' days')::interval
+      ORDER BY created_at DESC
+      LIMIT 100
+    `, [String(days)]);
+
+    res.json({
+      success: true,
+      days,
+      total: byType.rows.reduce((sum, row) => sum + parseInt(row.count), 0),
+      by_type: byType.rows.map(row => ({ type: row.emergency_type, count: parseInt(row.count) })),
+      recent: recent.rows
+    });
+  } catch (err) {
+    console.error('Error reading emergency report:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Admin endpoints to inspect and purge the answer cache
+app.get('/admin/cache', requireAdmin, async (req, res) => {
+  try {
+    const requested = parseInt(req.query.limit, 10);
+    const limit = requested > 0 ? Math.min(requested, 500) : 50;
+    const corpusVersion = await getCorpusVersion(pool);
+    const stats = await getCacheStats(pool, corpusVersion);
+    const entries = await listCacheEntries(pool, { limit });
+    res.json({ success: true, stats, entries });
+  } catch (err) {
+    console.error('Error reading answer cache:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ?stale=true keeps answers built against the current corpus
+app.delete('/admin/cache', requireAdmin, async (req, res) => {
+  try {
+    const corpusVersion = await getCorpusVersion(pool);
+    const purged = await purgeCache(pool, { corpusVersion, staleOnly: req.query.stale === 'true' });
+    console.log(`🧹 Purged ${purged} cached answers`);
+    res.json({ success: true, purged });
+  } catch (err) {
+    console.error('Error purging answer cache:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.delete('/admin/cache/:id', requireAdmin, async (req, res) => {
+  try {
+    const purged = await deleteCacheEntry(pool, parseInt(req.params.id, 10));
+    if (purged === 0) {
+      return res.status(404).json({ success: false, error: 'Cache entry not found' });
+    }
+    res.json({ success: true, purged });
+  } catch (err) {
+    console.error('Error purging answer cache:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Body: any of { name, email, phone, hours, location, url, notes, topics }. Prompts and fixed
+// responses pick the change up immediately; cached answers still have the old details.
+app.put('/admin/contacts/:key', requireAdmin, async (req, res) => {
+  try {
+    const office = await updateContact(pool, req.params.key, req.body || {});
+    if (!office) {
+      return res.status(404).json({ success: false, error: 'Office not found' });
+    }
+    const purged = await purgeCache(pool);
+    console.log(`📇 Updated ${contactLine(office.key)}`);
+    res.json({ success: true, office, purged });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    console.error('Error updating office:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Body: a workflow definition (see workflows.js). Creates the workflow or replaces it.
+app.put('/admin/workflows/:id', requireAdmin, async (req, res) => {
+  try {
+    const workflow = await saveWorkflow(pool, { ...req.body, id: req.params.id });
+    console.log(`🧭 Saved workflow ${workflow.id} (${Object.keys(workflow.steps).length} steps)`);
+    res.json({ success: true, workflow });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    console.error('Error saving workflow:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Re-scrapes the academic calendar page; events already stored are updated in place
+app.post('/admin/scrape-calendar', requireAdmin, async (req, res) => {
+  try {
+    const events = await scrapeCalendar();
+    if (events.length === 0) {
+      return res.status(502).json({ success: false, error: 'No dated events found on the calendar page' });
+    }
+    await saveEvents(pool, events);
+    console.log(`📅 Saved ${events.length} academic calendar events`);
+    res.json({ success: true, scraped: events.length, terms: await listTerms(pool) });
+  } catch (err) {
+    console.error('Error scraping academic calendar:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Web search result cache and the domains results are restricted to
+app.get('/admin/web-search', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    providers: webSearch.providers,
+    allowlist: webSearch.allowlist,
+    cache: webSearch.cacheStats()
+  });
+});
+
+app.delete('/admin/web-search/cache', requireAdmin, (req, res) => {
+  const cleared = webSearch.clearCache();
+  console.log(`🧹 Cleared ${cleared} cached web searches`);
+  res.json({ success: true, cleared });
+});
+
+// Discovered pages queue: ?status=pending|promoted|dismissed|all
+app.get('/admin/discovered-pages', requireAdmin, async (req, res) => {
+  try {
+    const pages = await listDiscoveredPages(pool, {
+      status: req.query.status || 'pending',
+      limit: parseInt(req.query.limit || '50', 10)
+    });
+    res.json({ success: true, pages, count: pages.length });
+  } catch (err) {
+    console.error('Error listing discovered pages:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Body: { title?, category? } to override what was guessed from the page
+app.post('/admin/discovered-pages/:id/promote', requireAdmin, async (req, res) => {
+  try {
+    const policy = await promoteDiscoveredPage(pool, parseInt(req.params.id, 10), req.body || {});
+    if (!policy) {
+      return res.status(404).json({ success: false, error: 'Discovered page not found' });
+    }
+    await refreshStaleChunks(pool);
+    await recordPolicyVersions(pool, { scrapeRun: scrapeRunId('admin:promote-discovered-page') });
+    console.log(`✅ Promoted ${policy.source_url} to policy ${policy.external_id}`);
+    res.json({ success: true, policy });
+  } catch (err) {
+    console.error('Error promoting discovered page:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post('/admin/discovered-pages/:id/dismiss', requireAdmin, async (req, res) => {
+  try {
+    const dismissed = await dismissDiscoveredPage(pool, parseInt(req.params.id, 10));
+    if (dismissed === 0) {
+      return res.status(404).json({ success: false, error: 'Discovered page not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error dismissing discovered page:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Admin endpoints for prompt templates. GET includes per-version interaction counts and
+// confidence so candidates can be compared against the active version.
+app.get('/admin/prompts', requireAdmin, async (req, res) => {
+  try {
+    const templates = await listTemplates(pool);
+    res.json({ success: true, templates });
+  } catch (err) {
+    console.error('Error listing prompt templates:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Body: { name, body, description?, traffic_percent? }; the new version starts as a candidate
+app.post('/admin/prompts', requireAdmin, async (req, res) => {
+  try {
+    const template = await createTemplateVersion(pool, req.body || {});
+    console.log(`📝 Created prompt template ${template.name} v${template.version}`);
+    res.json({ success: true, template });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    console.error('Error creating prompt template:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Body: { status?, traffic_percent? }. status 'active' promotes the version and retires the old one.
+app.put('/admin/prompts/:id', requireAdmin, async (req, res) => {
+  try {
+    const template = await updateTemplate(pool, parseInt(req.params.id, 10), req.body || {});
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Prompt template not found' });
+    }
+
+    // Cached answers were written with the old prompt
+    let purged = 0;
+    if (req.body?.status === 'active') {
+      purged = await purgeCache(pool);
+    }
+
+    console.log(`📝 Prompt template ${template.name} v${template.version}: ${template.status}, ${template.traffic_percent}% traffic`);
+    res.json({ success: true, template, purged });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    console.error('Error updating prompt template:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 // ... your other endpoints like /admin/full-populate ...
 
 // ADD THE NEW CODE HERE ⬇️⬇️⬇️
@@ -740,8 +1440,6 @@ app.get('/admin/force-refresh-all', async (req, res) => {
   try {
     console.log('🔄 Force refreshing all policies...');
     
-    await pool.query('DELETE FROM policies');
-    
     const policies = [
       ['absence-short-term', 'Short-Term Absences (1-2 Days)', 'attendance', 'For absences of one or two days due to illness, family issues, or short-term conflicts, email your professors directly. The Dean of Students Office does not need to be contacted for these short absences.', 'Email professors for 1-2 day absences', 'https://www.suffolk.edu/law/academics-clinics/student-life/policies-rules/academic-rules-regulations#rule2B', 'Attendance Policy'],
       ['absence-extended', 'Extended Absences (3+ Days)', 'attendance', 'If you will be absent for more than three consecutive days, contact the Dean of Students Office at lawdeanofstudents@suffolk.edu or 617-573-8157.', 'Contact Dean of Students for 3+ days', 'https://www.suffolk.edu/law/academics-clinics/student-life/policies-rules/academic-rules-regulations#rule2B', 'Attendance Policy'],
@@ -753,12 +1451,15 @@ app.get('/admin/force-refresh-all', async (req, res) => {
       ['dean-of-students', 'Dean of Students Office', 'student-services', 'The Dean of Students Office provides support for academic, personal, and professional concerns. Contact for attendance issues, exam conflicts, leaves of absence. Email lawdeanofstudents@suffolk.edu or call 617-573-8157.', 'Central resource for student support', 'https://www.suffolk.edu/law/academics-clinics/student-life', 'Dean of Students']
     ];
 
-    for (const p of policies) {
-      await pool.query(`
-        INSERT INTO policies (external_id, title, category, content, summary, source_url, source_name)
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
-      `, p);
+    // Rewritten in place and everything else deactivated rather than deleted, so the policies
+    // keep their version history (and the feed its change events)
+    for (const [external_id, title, category, content, summary, source_url, source_name] of policies) {
+      await pool.policies.upsert({ external_id, title, category, content, summary, source_url, source_name, is_active: true });
     }
+    await pool.query('UPDATE policies SET is_active = false WHERE NOT (external_id = ANY($1))', [policies.map(p => p[0])]);
+
+    await refreshStaleChunks(pool);
+    await recordPolicyVersions(pool, { scrapeRun: scrapeRunId('admin:force-refresh-all') });
 
     const result = await pool.query('SELECT COUNT(*) FROM policies');
     
@@ -796,6 +1497,8 @@ initializeDatabase()
     console.log('='.repeat(60));
     console.log('Environment:', process.env.NODE_ENV || 'development');
     console.log('Port:', PORT);
+    console.log('LLM provider:', llm.name);
+    console.log('Web search providers:', webSearch.providers.join(' -> '));
     console.log('='.repeat(60));
 
     app.listen(PORT, '0.0.0.0', () => {
@@ -804,10 +1507,10 @@ initializeDatabase()
       console.log('✅ Suffolk Law AI Q&A Server Running!');
       console.log('='.repeat(60));
       console.log(`🌐 Server: http://0.0.0.0:${PORT}`);
-      console.log(`💾 Database: PostgreSQL with auto-init`);
-      console.log('✉️  Academic: AcadServLaw@suffolk.edu');
-      console.log('✉️  Dean: LawDeanofStudents@suffolk.edu');
-      console.log('🚨 Emergency: 617-573-8111');
+      console.log(`💾 Database: ${pool.description} with auto-init`);
+      console.log(`✉️  Academic: ${getContact('academic_services').email}`);
+      console.log(`✉️  Dean: ${getContact('dean_of_students').email}`);
+      console.log(`🚨 Emergency: ${getContact('university_police').phone}`);
       console.log('='.repeat(60));
       console.log('\n✅ Ready to accept connections!\n');
     });
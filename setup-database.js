@@ -1,49 +1,28 @@
 require('dotenv').config();
-const sqlite3 = require('sqlite3').verbose();
-const fs = require('fs');
+const { createStorage, ensurePolicyTables } = require('./storage');
 
-// Create/open database
-const db = new sqlite3.Database('suffolk_law.db', (err) => {
-  if (err) {
-    console.error('Error opening database:', err);
-  } else {
-    console.log('✅ Connected to SQLite database');
-  }
-});
+// Local setup: the schema plus a few sample policies, in SQLITE_FILE unless DATABASE_URL or
+// DB_BACKEND says otherwise
+const db = createStorage();
 
-// Create tables
-db.serialize(() => {
+async function setup() {
+  console.log(`✅ Connected to ${db.description}`);
   console.log('🔧 Creating tables...');
-  
-  // Policies table
-  db.run(`CREATE TABLE IF NOT EXISTS policies (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    external_id TEXT UNIQUE NOT NULL,
-    title TEXT NOT NULL,
-    category TEXT NOT NULL,
-    content TEXT NOT NULL,
-    summary TEXT,
-    source_url TEXT NOT NULL,
-    source_name TEXT,
-    last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
-    is_active INTEGER DEFAULT 1
-  )`, (err) => {
-    if (err) console.error('Error creating policies table:', err);
-    else console.log('✅ Policies table created');
-  });
 
-  // Q&A interactions table
-  db.run(`CREATE TABLE IF NOT EXISTS qa_interactions (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    question TEXT NOT NULL,
-    answer TEXT NOT NULL,
-    sources TEXT,
-    confidence TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )`, (err) => {
-    if (err) console.error('Error creating qa_interactions table:', err);
-    else console.log('✅ Q&A interactions table created');
-  });
+  await ensurePolicyTables(db);
+  console.log('✅ Policies table created');
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS qa_interactions (
+      id SERIAL PRIMARY KEY,
+      question TEXT NOT NULL,
+      answer TEXT NOT NULL,
+      sources TEXT,
+      confidence VARCHAR(50),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  console.log('✅ Q&A interactions table created');
 
   // Insert sample data
   console.log('📊 Adding sample policies...');
@@ -78,35 +57,23 @@ db.serialize(() => {
     }
   ];
 
-  const stmt = db.prepare(`INSERT OR IGNORE INTO policies 
-    (external_id, title, category, content, summary, source_url, source_name) 
-    VALUES (?, ?, ?, ?, ?, ?, ?)`);
-
-  samplePolicies.forEach(policy => {
-    stmt.run(
-      policy.external_id,
-      policy.title,
-      policy.category,
-      policy.content,
-      policy.summary,
-      policy.source_url,
-      policy.source_name,
-      (err) => {
-        if (err) console.error('Error inserting policy:', err);
-        else console.log('✅ Added:', policy.title);
-      }
-    );
-  });
-
-  stmt.finalize();
+  for (const policy of samplePolicies) {
+    try {
+      await db.query(`
+        INSERT INTO policies (external_id, title, category, content, summary, source_url, source_name)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (external_id) DO NOTHING
+      `, [policy.external_id, policy.title, policy.category, policy.content, policy.summary, policy.source_url, policy.source_name]);
+      console.log('✅ Added:', policy.title);
+    } catch (err) {
+      console.error('Error inserting policy:', err);
+    }
+  }
 
   // Verify data
-  db.get('SELECT COUNT(*) as count FROM policies', (err, row) => {
-    if (err) {
-      console.error('Error counting policies:', err);
-    } else {
-      console.log(`\n✨ Setup complete! ${row.count} policies in database.`);
-    }
-    db.close();
-  });
-});
\ No newline at end of file
+  console.log(`\n✨ Setup complete! ${await db.policies.count()} policies in database.`);
+}
+
+setup()
+  .catch(err => console.error('Error setting up database:', err))
+  .finally(() => db.end());
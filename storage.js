@@ -0,0 +1,225 @@
+// Storage layer shared by the server and the ingestion scripts. Postgres (DATABASE_URL) and a
+// local SQLite file (SQLITE_FILE, suffolk_law.db by default) sit behind one interface:
+//
+//   query(text, params) -> { rows, rowCount }   pg's API; SQL is written in the Postgres dialect
+//   dialect                                      'postgres' or 'sqlite', for the few queries that
+//                                                need more than a translation
+//   policies                                     the policy repository (upsert, list, count, all)
+//   end()
+//
+// DB_BACKEND picks the backend; without it, Postgres when DATABASE_URL is set and SQLite otherwise.
+// syncPolicies() copies policies from one store to the other; sync-db.js is its CLI.
+
+const { Pool } = require('pg');
+const sqlite3 = require('sqlite3');
+
+const SQLITE_FILE = process.env.SQLITE_FILE || 'suffolk_law.db';
+const BACKENDS = ['postgres', 'sqlite'];
+
+// Columns the repository reads and writes; generated ones (search_vector, applicability) stay put
+const POLICY_FIELDS = ['external_id', 'title', 'category', 'content', 'summary', 'source_url', 'source_name', 'is_active'];
+
+function defaultBackend() {
+  return process.env.DB_BACKEND || (process.env.DATABASE_URL ? 'postgres' : 'sqlite');
+}
+
+// The Postgres-only SQL the modules use, rewritten for SQLite. Arrays are bound as JSON, so
+// `= ANY($1)` becomes a json_each() lookup.
+function toSqlite(text) {
+  return text
+    .replace(/NOW\(\)\s*-\s*\(\$(\d+)\s*\|\|\s*'\s*(\w+)'\)::interval/gi, "datetime('now', '-' || ?$1 || ' $2')")
+    .replace(/NOW\(\)\s*-\s*INTERVAL\s+'(\d+)\s+(\w+)'/gi, "datetime('now', '-$1 $2')")
+    .replace(/to_char\(([\w.]+),\s*'YYYY-MM-DD'\)/gi, "strftime('%Y-%m-%d', $1)")
+    .replace(/=\s*ANY\(\$(\d+)\)/gi, 'IN (SELECT value FROM json_each(?$1))')
+    .replace(/::\w+(\[\])?/g, '')
+    .replace(/\$(\d+)/g, '?$1')
+    // LIMIT NULL means no limit in Postgres; SQLite wants a negative number
+    .replace(/\bLIMIT \?(\d+)/gi, 'LIMIT coalesce(?$1, -1)')
+    .replace(/\bSERIAL PRIMARY KEY\b/gi, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+    .replace(/\bNOW\(\)/gi, 'CURRENT_TIMESTAMP')
+    .replace(/\bstrpos\(/gi, 'instr(')
+    // pg names an unaliased COUNT(*) "count"
+    .replace(/COUNT\(\*\)(?=\s+FROM\b)/gi, 'COUNT(*) AS count');
+}
+
+function toSqliteParam(value) {
+  if (Array.isArray(value)) return JSON.stringify(value);
+  if (value instanceof Date) return value.toISOString().replace('T', ' ').substring(0, 19);
+  if (value === undefined) return null;
+  return value;
+}
+
+function createPostgres({ databaseUrl = process.env.DATABASE_URL } = {}) {
+  if (!databaseUrl) throw new Error('DATABASE_URL is required for the postgres backend');
+  const pool = new Pool({
+    connectionString: databaseUrl,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  return {
+    dialect: 'postgres',
+    description: 'PostgreSQL',
+    query: (text, params) => pool.query(text, params),
+    end: () => pool.end()
+  };
+}
+
+function createSqlite({ file = SQLITE_FILE } = {}) {
+  const db = new sqlite3.Database(file);
+
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve(this.changes);
+    });
+  });
+
+  const ready = run('PRAGMA foreign_keys = ON');
+
+  async function query(text, params = []) {
+    await ready;
+
+    // GIN indexes only serve tsvector and array columns, which SQLite doesn't have
+    if (/^\s*CREATE INDEX[\s\S]*\bUSING GIN\b/i.test(text)) return { rows: [], rowCount: 0 };
+
+    const addColumn = text.match(/^\s*ALTER TABLE\s+(\w+)\s+ADD COLUMN IF NOT EXISTS\s+(\w+)/i);
+    if (addColumn) {
+      const columns = await all(`PRAGMA table_info(${addColumn[1]})`);
+      if (columns.some(c => c.name === addColumn[2])) return { rows: [], rowCount: 0 };
+      text = text.replace(/ADD COLUMN IF NOT EXISTS/i, 'ADD COLUMN');
+    }
+
+    const sql = toSqlite(text);
+    const values = params.map(toSqliteParam);
+    if (/^\s*(SELECT|WITH|PRAGMA)\b/i.test(sql) || /\bRETURNING\b/i.test(sql)) {
+      const rows = await all(sql, values);
+      return { rows, rowCount: rows.length };
+    }
+    return { rows: [], rowCount: await run(sql, values) };
+  }
+
+  return {
+    dialect: 'sqlite',
+    description: `SQLite (${file})`,
+    query,
+    end: () => ready.then(() => new Promise((resolve, reject) => db.close(err => (err ? reject(err) : resolve()))))
+  };
+}
+
+async function ensurePolicyTables(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS policies (
+      id SERIAL PRIMARY KEY,
+      external_id VARCHAR(255) UNIQUE NOT NULL,
+      title TEXT NOT NULL,
+      category VARCHAR(100) NOT NULL,
+      content TEXT NOT NULL,
+      summary TEXT,
+      source_url TEXT,
+      source_name TEXT,
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_policies_external_id ON policies(external_id)`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_policies_category ON policies(category)`);
+}
+
+function policyRepository(db) {
+  return {
+    // Inserts or rewrites a policy by external_id; is_active is kept unless the policy sets it.
+    // Returns { id, inserted }.
+    async upsert(policy) {
+      const existing = await db.query('SELECT id FROM policies WHERE external_id = $1', [policy.external_id]);
+      const result = await db.query(`
+        INSERT INTO policies (external_id, title, category, content, summary, source_url, source_name, is_active)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, coalesce($8, true))
+        ON CONFLICT (external_id) DO UPDATE SET
+          title = EXCLUDED.title,
+          category = EXCLUDED.category,
+          content = EXCLUDED.content,
+          summary = EXCLUDED.summary,
+          source_url = EXCLUDED.source_url,
+          source_name = EXCLUDED.source_name,
+          is_active = coalesce($8, policies.is_active),
+          last_updated = CURRENT_TIMESTAMP
+        RETURNING id
+      `, [
+        policy.external_id, policy.title, policy.category, policy.content,
+        policy.summary ?? null, policy.source_url ?? null, policy.source_name ?? null,
+        policy.is_active ?? null
+      ]);
+      return { id: result.rows[0].id, inserted: existing.rows.length === 0 };
+    },
+
+    // Newest first; limit null for all of them
+    async list({ category = null, activeOnly = true, limit = null } = {}) {
+      const result = await db.query(`
+        SELECT * FROM policies
+        WHERE ($1::text IS NULL OR category = $1) AND (is_active = true OR NOT $2::boolean)
+        ORDER BY last_updated DESC
+        LIMIT $3
+      `, [category, activeOnly, limit]);
+      return result.rows;
+    },
+
+    async count() {
+      const result = await db.query('SELECT COUNT(*) FROM policies');
+      return parseInt(result.rows[0].count, 10);
+    },
+
+    // Every policy, active or not, as plain POLICY_FIELDS (booleans normalized across backends)
+    async all() {
+      const result = await db.query(`SELECT ${POLICY_FIELDS.join(', ')} FROM policies ORDER BY external_id`);
+      return result.rows.map(row => ({ ...row, is_active: Boolean(row.is_active) }));
+    }
+  };
+}
+
+// Copies policies from one store to another by external_id: new ones are inserted, changed ones
+// rewritten and identical ones skipped. Policies only in `to` are left alone. Returns
+// { inserted, updated, unchanged, targetOnly } as lists of external_ids.
+async function syncPolicies(from, to, { dryRun = false } = {}) {
+  const source = await from.policies.all();
+  const existing = new Map((await to.policies.all()).map(p => [p.external_id, p]));
+  const stats = { inserted: [], updated: [], unchanged: [], targetOnly: [] };
+
+  for (const policy of source) {
+    const current = existing.get(policy.external_id);
+    existing.delete(policy.external_id);
+    if (current && POLICY_FIELDS.every(field => (current[field] ?? null) === (policy[field] ?? null))) {
+      stats.unchanged.push(policy.external_id);
+      continue;
+    }
+    if (!dryRun) await to.policies.upsert(policy);
+    (current ? stats.updated : stats.inserted).push(policy.external_id);
+  }
+
+  stats.targetOnly = [...existing.keys()];
+  return stats;
+}
+
+function createStorage({ backend = defaultBackend(), databaseUrl, sqliteFile } = {}) {
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown storage backend "${backend}" (expected ${BACKENDS.join(' or ')})`);
+  }
+
+  const db = backend === 'postgres'
+    ? createPostgres({ databaseUrl })
+    : createSqlite({ file: sqliteFile });
+  db.policies = policyRepository(db);
+  return db;
+}
+
+module.exports = {
+  BACKENDS,
+  POLICY_FIELDS,
+  createStorage,
+  ensurePolicyTables,
+  syncPolicies,
+  toSqlite
+};
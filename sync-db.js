@@ -0,0 +1,85 @@
+require('dotenv').config();
+const { ensureChunkTables, refreshStaleChunks } = require('./chunking');
+const { BACKENDS, createStorage, ensurePolicyTables, syncPolicies } = require('./storage');
+const { ensurePolicyVersionTables, recordPolicyVersions, scrapeRunId } = require('./policy-history');
+
+const USAGE = `Usage: node sync-db.js --from <backend> --to <backend> [--dry-run] [--sqlite-file <path>]
+
+  --from, --to   ${BACKENDS.join(' or ')}; postgres uses DATABASE_URL
+  --dry-run      Report what would change without writing
+  --sqlite-file  SQLite database to use (default SQLITE_FILE, or suffolk_law.db)
+
+Copies policies by external_id: new ones are added, changed ones rewritten. Policies that only
+exist in the target are kept. Changed policies are re-chunked so they're searchable right away.`;
+
+function parseArgs(argv) {
+  const args = { from: null, to: null, dryRun: false, sqliteFile: undefined, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg === '--from') args.from = argv[++i];
+    else if (arg === '--to') args.to = argv[++i];
+    else if (arg === '--sqlite-file') args.sqliteFile = argv[++i];
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  if (args.help) return args;
+  if (!BACKENDS.includes(args.from) || !BACKENDS.includes(args.to)) {
+    throw new Error(`--from and --to must each be ${BACKENDS.join(' or ')}`);
+  }
+  if (args.from === args.to) throw new Error('--from and --to must be different backends');
+  return args;
+}
+
+function listIds(label, ids) {
+  console.log(`${label}: ${ids.length}`);
+  for (const id of ids.slice(0, 20)) console.log(`   • ${id}`);
+  if (ids.length > 20) console.log(`   … and ${ids.length - 20} more`);
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`❌ ${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  let from;
+  let to;
+  try {
+    from = createStorage({ backend: args.from, sqliteFile: args.sqliteFile });
+    to = createStorage({ backend: args.to, sqliteFile: args.sqliteFile });
+
+    console.log(`🔄 Syncing policies from ${from.description} to ${to.description}${args.dryRun ? ' (dry run)' : ''}\n`);
+    await ensurePolicyTables(to);
+    await ensurePolicyVersionTables(to);
+    await ensureChunkTables(to);
+
+    const stats = await syncPolicies(from, to, { dryRun: args.dryRun });
+    listIds(args.dryRun ? '➕ Would add' : '➕ Added', stats.inserted);
+    listIds(args.dryRun ? '✏️  Would update' : '✏️  Updated', stats.updated);
+    console.log(`✔️  Unchanged: ${stats.unchanged.length}`);
+    console.log(`📌 Only in ${args.to} (kept): ${stats.targetOnly.length}`);
+
+    if (!args.dryRun) {
+      await recordPolicyVersions(to, { scrapeRun: scrapeRunId(`sync:${args.from}`) });
+      await refreshStaleChunks(to);
+      console.log(`\n📊 Total in ${to.description}: ${await to.policies.count()}`);
+    }
+  } catch (err) {
+    console.error('❌ Sync failed:', err);
+    process.exitCode = 1;
+  } finally {
+    if (from) await from.end();
+    if (to) await to.end();
+  }
+}
+
+main();
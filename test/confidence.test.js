@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { scoreDatabaseAnswer } = require('../confidence');
+
+const ANSWER = 'According to the Attendance Policy, students must attend 80% of classes [1]. Absences beyond that may lead to withdrawal from the course [2].\n\n⚠️ Please note: This tool can make mistakes.';
+
+// Both claims cited, no bad citations or quotes
+const VERIFICATION = { spans: [{ quotes: [] }, { quotes: [] }], invalid: [] };
+
+test('well-cited answers from strong passages score high', () => {
+  const result = scoreDatabaseAnswer({
+    passages: [{ score: 0.45 }, { score: 0.3 }, { score: 0.25 }],
+    modelAnswer: ANSWER,
+    verification: VERIFICATION
+  });
+  assert.strictEqual(result.level, 'high');
+  assert.strictEqual(result.components.weak_retrieval, false);
+});
+
+test('well-cited answers from irrelevant passages do not score high', () => {
+  const result = scoreDatabaseAnswer({
+    passages: [{ score: 0.167 }, { score: 0.15 }, { score: 0.14 }],
+    modelAnswer: ANSWER,
+    verification: VERIFICATION
+  });
+  assert.strictEqual(result.components.citation_support, 1);
+  assert.strictEqual(result.components.weak_retrieval, true);
+  assert.ok(result.score <= 0.6);
+  assert.notStrictEqual(result.level, 'high');
+});
+
+test('fallback answers with unverified quotes score low', () => {
+  const result = scoreDatabaseAnswer({
+    passages: [{ score: 0.1 }],
+    modelAnswer: 'I found some relevant information in my database, but I should search Suffolk Law\'s website for more complete information.',
+    verification: { spans: [{ quotes: [{ verified: false }] }], invalid: [] }
+  });
+  assert.strictEqual(result.level, 'low');
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectEmergency, emergencyResponse } = require('../emergency');
+
+test('urgent questions are detected by type', () => {
+  const cases = {
+    'I am in crisis': 'crisis',
+    'There is a fire in the library': 'safety',
+    'I am having a medical emergency during my exam': 'exam_medical',
+    'My classmate is having a seizure in the exam room': 'exam_medical',
+    'My friend just collapsed in the hallway': 'medical'
+  };
+  for (const [question, type] of Object.entries(cases)) {
+    assert.strictEqual(detectEmergency(question)?.type, type, question);
+  }
+});
+
+test('questions about past events and policies are not emergencies', () => {
+  for (const question of [
+    'I was in the hospital last semester, can I get an incomplete?',
+    'I had to go to the hospital before my final last week',
+    'Who is the emergency contact for the law school?',
+    'What are the building closing procedures?',
+    'What is the exam emergency policy?'
+  ]) {
+    assert.strictEqual(detectEmergency(question), null, question);
+  }
+});
+
+test('the exam_medical response sends students to the Dean of Students, not the professor', () => {
+  const response = emergencyResponse('exam_medical');
+  assert.match(response, /call 911/);
+  assert.match(response, /do not contact your professor/);
+  assert.doesNotMatch(response, /\{\{|undefined/);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { INTENTS, classifyIntent, intentResponse } = require('../intent');
+
+const EXAMPLES = {
+  policy_question: [
+    'How many absences am I allowed?',
+    // "solve" here isn't a coursework request
+    'how do I solve a registration hold?',
+    'When is the add/drop deadline?',
+    'What should I do if I have a family emergency during finals?',
+    'Who is the emergency contact for the law school?'
+  ],
+  coursework: [
+    'Can you solve this contracts hypo for me?',
+    'Can you solve this contracts problem about registration of a trademark?'
+  ],
+  out_of_scope: ['What is the weather in Boston today?'],
+  emergency: ['I am having a medical emergency during my exam'],
+  complaint_feedback: ['I want to file a complaint about a professor']
+};
+
+for (const [intent, questions] of Object.entries(EXAMPLES)) {
+  for (const question of questions) {
+    test(`"${question}" is classified as ${intent}`, () => {
+      assert.strictEqual(classifyIntent(question).intent, intent);
+    });
+  }
+}
+
+test('scores cover every intent and the winner has the highest score', () => {
+  const result = classifyIntent('How many absences am I allowed?');
+  assert.deepStrictEqual(Object.keys(result.scores).sort(), [...INTENTS].sort());
+  assert.strictEqual(result.confidence, Math.max(...Object.values(result.scores)));
+});
+
+test('canned responses are given only for intents that skip retrieval', () => {
+  assert.strictEqual(intentResponse('policy_question'), null);
+  assert.strictEqual(intentResponse('emergency'), null);
+  assert.match(intentResponse('coursework'), /directed to your professor/);
+  assert.match(intentResponse('out_of_scope'), /outside my scope/);
+  assert.doesNotMatch(intentResponse('complaint_feedback'), /\{\{/);
+});
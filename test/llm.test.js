@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LLMTimeoutError, createProvider, withRetries } = require('../llm');
+
+// The passages block the server sends with a question
+const PROMPT = `Here are relevant Suffolk Law policies:
+
+[1]
+Title: Attendance Policy
+Section: Rule 2B. Attendance
+Content: Students must attend at least 80% of class sessions. Absences beyond that may lead to withdrawal.
+URL: https://www.suffolk.edu/law/rules#rule2b
+---
+
+[2]
+Title: Student Handbook
+PDF page 12
+Content: Exam postponements are granted for illness. Contact the Dean of Students Office.
+URL: https://www.suffolk.edu/law/handbook.pdf#page=12
+---
+
+Question: How many classes can I miss?`;
+
+function withEnv(values, fn) {
+  const saved = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+  for (const [key, value] of Object.entries(values)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  try {
+    return fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+test('the mock provider is used only when LLM_PROVIDER=mock', () => {
+  withEnv({ LLM_PROVIDER: 'mock', ANTHROPIC_API_KEY: undefined }, () => {
+    assert.strictEqual(createProvider().name, 'mock');
+  });
+  withEnv({ LLM_PROVIDER: undefined, ANTHROPIC_API_KEY: undefined }, () => {
+    assert.throws(() => createProvider(), /ANTHROPIC_API_KEY is not set/);
+  });
+  withEnv({ LLM_PROVIDER: undefined, ANTHROPIC_API_KEY: 'test-key' }, () => {
+    assert.strictEqual(createProvider().name, 'anthropic');
+  });
+  assert.throws(() => createProvider('other'), /Unknown LLM_PROVIDER: other/);
+});
+
+test('the mock answers from the passages with citation markers', async () => {
+  const llm = createProvider('mock');
+  const { text, model } = await llm.complete({ profile: 'answer', messages: [{ role: 'user', content: PROMPT }] });
+
+  assert.match(model, /^mock:/);
+  assert.match(text, /According to Attendance Policy, "Students must attend at least 80% of class sessions\." \[1\] \(https:\/\/www\.suffolk\.edu\/law\/rules#rule2b\)/);
+  assert.match(text, /According to Student Handbook, "Exam postponements are granted for illness\." \[2\]/);
+});
+
+test('the mock falls back to the search message without passages', async () => {
+  const llm = createProvider('mock');
+  const { text } = await llm.complete({ profile: 'answer', messages: [{ role: 'user', content: 'Question: anything?' }] });
+  assert.match(text, /I should search Suffolk Law's website/);
+});
+
+test('the mock streams the same text it completes', async () => {
+  const llm = createProvider('mock');
+  const params = { profile: 'answer', messages: [{ role: 'user', content: PROMPT }] };
+  const pieces = [];
+
+  const result = await llm.stream(params, { onText: piece => pieces.push(piece) });
+  assert.ok(pieces.length > 1);
+  assert.strictEqual(pieces.join(''), result.text);
+  assert.strictEqual(result.text, (await llm.complete(params)).text);
+});
+
+test('the mock hands text to translate back unchanged', async () => {
+  const llm = createProvider('mock');
+  const { text } = await llm.complete({ profile: 'translate', messages: [{ role: 'user', content: 'Translate to English.\n\nText:\n¿Cuándo es el examen?' }] });
+  assert.strictEqual(text, '¿Cuándo es el examen?');
+});
+
+test('withRetries retries transient failures and times out slow attempts', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  let calls = 0;
+  const result = await withRetries(async () => {
+    calls++;
+    if (calls === 1) throw Object.assign(new Error('overloaded'), { status: 529 });
+    return 'ok';
+  }, { maxRetries: 1 });
+  assert.strictEqual(result, 'ok');
+  assert.strictEqual(calls, 2);
+
+  await assert.rejects(
+    withRetries(() => Promise.reject(Object.assign(new Error('bad request'), { status: 400 })), { maxRetries: 2 }),
+    /bad request/
+  );
+
+  await assert.rejects(
+    withRetries(signal => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted')))), { timeoutMs: 20, maxRetries: 0 }),
+    LLMTimeoutError
+  );
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWebSearch, isAllowed } = require('../web-search');
+
+// A provider that records its calls and answers with the given results (or throws them)
+function stubProvider(name, results) {
+  const provider = {
+    name,
+    configured: true,
+    calls: 0,
+    async search() {
+      provider.calls++;
+      if (results instanceof Error) throw results;
+      return results;
+    }
+  };
+  return provider;
+}
+
+// Log lines on stdout would be mixed into the test runner's own output
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test('isAllowed matches allowlisted hosts, subdomains and path prefixes', () => {
+  const allowlist = ['suffolk.edu', 'mass.gov/orgs/board-of-bar-examiners'];
+  assert.ok(isAllowed('https://www.suffolk.edu/law/exams', allowlist));
+  assert.ok(isAllowed('https://law.suffolk.edu/', allowlist));
+  assert.ok(isAllowed('https://www.mass.gov/orgs/board-of-bar-examiners/exam-dates', allowlist));
+  assert.ok(!isAllowed('https://www.mass.gov/orgs/other-board', allowlist));
+  assert.ok(!isAllowed('https://notsuffolk.edu/', allowlist));
+  assert.ok(!isAllowed('https://suffolk.edu.example.com/', allowlist));
+  assert.ok(!isAllowed('ftp://suffolk.edu/file', allowlist));
+  assert.ok(!isAllowed('not a url', allowlist));
+});
+
+test('fixture results outside the allowed domains are dropped', async () => {
+  const webSearch = createWebSearch({ providers: ['fixture'] });
+  const results = await webSearch.search('law school exam tips');
+
+  assert.ok(results.length > 0);
+  assert.ok(results.every(r => isAllowed(r.link, webSearch.allowlist)));
+  assert.ok(!results.some(r => r.link.includes('lawstudentblog.example.com')));
+  assert.ok(results.every(r => r.provider === 'fixture'));
+});
+
+test('a narrower allowlist narrows the fixture results', async () => {
+  const webSearch = createWebSearch({ providers: ['fixture'], allowlist: ['mass.gov/orgs/board-of-bar-examiners'] });
+  const results = await webSearch.search('bar exam dates');
+
+  assert.deepStrictEqual(results.map(r => r.link), ['https://www.mass.gov/orgs/board-of-bar-examiners']);
+});
+
+test('repeat searches come from the cache until the TTL passes', async (t) => {
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+
+  const fixture = stubProvider('stub', [{ title: 'Exams', snippet: '', link: 'https://www.suffolk.edu/law/exams' }]);
+  const webSearch = createWebSearch({ providers: [fixture], ttlMs: 60000 });
+
+  await webSearch.search('exam postponement');
+  await webSearch.search('exam postponement');
+  assert.strictEqual(fixture.calls, 1);
+  assert.deepStrictEqual({ hits: webSearch.cacheStats().hits, misses: webSearch.cacheStats().misses }, { hits: 1, misses: 1 });
+
+  now += 60001;
+  await webSearch.search('exam postponement');
+  assert.strictEqual(fixture.calls, 2);
+
+  assert.strictEqual(webSearch.clearCache(), 1);
+  await webSearch.search('exam postponement');
+  assert.strictEqual(fixture.calls, 3);
+});
+
+test('a failing provider falls through to the next and the outage is not cached', async () => {
+  const failing = stubProvider('down', new Error('timeout'));
+  const webSearch = createWebSearch({ providers: [failing, 'fixture'] });
+
+  const results = await webSearch.search('exam postponement request');
+  assert.ok(results.length > 0);
+  assert.ok(results.every(r => r.provider === 'fixture'));
+  assert.strictEqual(failing.calls, 1);
+
+  const outage = createWebSearch({ providers: [failing] });
+  assert.deepStrictEqual(await outage.search('exam postponement request'), []);
+  assert.deepStrictEqual(await outage.search('exam postponement request'), []);
+  assert.strictEqual(outage.cacheStats().hits, 0);
+});
+
+test('a provider with only untrusted results falls through to the next', async () => {
+  const untrusted = stubProvider('untrusted', [{ title: 'Exam tips', snippet: '', link: 'https://lawstudentblog.example.com/exam-tips' }]);
+  const webSearch = createWebSearch({ providers: [untrusted, 'fixture'] });
+
+  const results = await webSearch.search('exam postponement request');
+  assert.strictEqual(untrusted.calls, 1);
+  assert.ok(results.length > 0);
+  assert.ok(results.every(r => r.provider === 'fixture'));
+});
+
+test('providers that are not configured are skipped', async () => {
+  const unconfigured = stubProvider('google', []);
+  unconfigured.configured = false;
+  const webSearch = createWebSearch({ providers: [unconfigured, 'fixture'] });
+
+  assert.ok((await webSearch.search('registration holds')).length > 0);
+  assert.strictEqual(unconfigured.calls, 0);
+});
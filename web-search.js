@@ -0,0 +1,304 @@
+// Web search behind one provider interface, restricted to trusted domains and cached.
+//
+//   const webSearch = createWebSearch();
+//   const results = await webSearch.search('exam postponement', { siteLimit: 'suffolk.edu', maxResults: 3 });
+//   // -> [{ title, snippet, link }]
+//
+// WEB_SEARCH_PROVIDERS is the comma-separated order providers are tried in (default
+// 'google,duckduckgo'; Google is skipped without GOOGLE_API_KEY / GOOGLE_CSE_ID). 'fixture' serves
+// canned results from WEB_SEARCH_FIXTURES (a JSON file) or the built-in set, with no network, so
+// together with LLM_PROVIDER=mock the web fallback runs offline and deterministically.
+//
+// Results whose link isn't on WEB_SEARCH_ALLOWED_DOMAINS are dropped after fetching, whatever
+// the provider returned. Entries are hostnames (subdomains match) or hostname/path prefixes.
+// fetchPages() reads the full text of results with the scrapers' extraction pipeline; a page that
+// redirects off the allowlist is dropped too. Fixture results carry their own `content` instead.
+
+const fs = require('fs');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { fetchPage } = require('./page-extract');
+const { extractKeywords } = require('./retrieval');
+
+const DEFAULT_ALLOWED_DOMAINS = [
+  'suffolk.edu',
+  'mass.gov/orgs/board-of-bar-examiners',
+  'mass.gov/how-to/apply-for-the-massachusetts-bar-exam',
+  'ncbex.org',
+  'lsac.org',
+  'americanbar.org'
+];
+
+const CACHE_TTL_MS = parseInt(process.env.WEB_SEARCH_CACHE_TTL_MINUTES || '60', 10) * 60 * 1000;
+const CACHE_MAX_ENTRIES = 500;
+const MAX_QUERY_KEYWORDS = 6;
+const PAGE_FETCH_TIMEOUT_MS = 10000;
+
+// Used by the fixture provider when WEB_SEARCH_FIXTURES isn't set
+const BUILT_IN_FIXTURES = [
+  {
+    title: 'Academic Rules and Regulations | Suffolk University Law School',
+    snippet: 'The rules governing attendance, examinations, grading, academic standing and graduation requirements for Suffolk Law students.',
+    link: 'https://www.suffolk.edu/law/academics-clinics/student-life/policies-rules/academic-rules-regulations'
+  },
+  {
+    title: 'Exams | Suffolk University Law School',
+    snippet: 'Exam schedules, ExamSoft, exam postponement requests and what to do in an exam emergency.',
+    link: 'https://www.suffolk.edu/law/academics-clinics/student-life/exams',
+    content: 'Final examinations are given at the end of each semester according to the published exam schedule. Students who have two exams on the same day or three exams in three consecutive days may request an exam postponement from the Dean of Students Office. Requests must be made before the exam period begins. Students who become ill during an exam should contact the Dean of Students Office at LawDeanofStudents@suffolk.edu and should not contact their professor, to preserve exam anonymity. Exams taken on a laptop use ExamSoft, which must be installed and registered before the exam period.'
+  },
+  {
+    title: 'Registration | Suffolk University Law School',
+    snippet: 'Course registration, add/drop deadlines, registration holds and waitlists.',
+    link: 'https://www.suffolk.edu/law/academics-clinics/student-life/registration'
+  },
+  {
+    title: 'Board of Bar Examiners | Mass.gov',
+    snippet: 'Apply for the Massachusetts bar exam, character and fitness requirements and exam dates.',
+    link: 'https://www.mass.gov/orgs/board-of-bar-examiners'
+  },
+  {
+    title: 'Law school exam tips and tricks',
+    snippet: 'An unofficial blog post about taking law school exams and the bar exam.',
+    link: 'https://lawstudentblog.example.com/exam-tips'
+  }
+];
+
+function parseAllowlist(value) {
+  return value.split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+}
+
+function isAllowed(link, allowlist) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch (err) {
+    return false;
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return false;
+
+  const host = url.hostname.toLowerCase().replace(/^www\./, '');
+  const pathname = url.pathname.toLowerCase();
+  return allowlist.some(entry => {
+    const [domain, ...rest] = entry.split('/');
+    const prefix = rest.length > 0 ? `/${rest.join('/')}` : '';
+    const hostMatches = host === domain || host.endsWith(`.${domain}`);
+    return hostMatches && (!prefix || pathname === prefix || pathname.startsWith(`${prefix}/`));
+  });
+}
+
+// Keyword query, plus a site: operator the engines understand
+function buildQuery(question, siteLimit) {
+  const keywords = extractKeywords(question).filter(w => w.length > 2).slice(0, MAX_QUERY_KEYWORDS).join(' ');
+  return siteLimit ? `${keywords} site:${siteLimit}` : keywords;
+}
+
+function createGoogleProvider() {
+  const { GOOGLE_API_KEY, GOOGLE_CSE_ID } = process.env;
+
+  return {
+    name: 'google',
+    configured: Boolean(GOOGLE_API_KEY && GOOGLE_CSE_ID),
+
+    async search(query, { limit }) {
+      const { data } = await axios.get('https://www.googleapis.com/customsearch/v1', {
+        params: { key: GOOGLE_API_KEY, cx: GOOGLE_CSE_ID, q: query, num: Math.min(limit, 10) },
+        timeout: 15000
+      });
+      if (!Array.isArray(data.items)) return [];
+
+      return data.items
+        .filter(it => it.link && it.title)
+        .map(it => ({ title: it.title, snippet: it.snippet || '', link: it.link }));
+    }
+  };
+}
+
+function createDuckDuckGoProvider() {
+  return {
+    name: 'duckduckgo',
+    configured: true,
+
+    async search(query, { limit }) {
+      // DuckDuckGo HTML endpoint; simple, stable markup we can parse
+      const resp = await axios.get(`https://duckduckgo.com/html/?q=${encodeURIComponent(query)}`, {
+        headers: { 'User-Agent': 'Mozilla/5.0' },
+        timeout: 15000
+      });
+
+      const $ = cheerio.load(resp.data);
+      const results = [];
+      $('.result').each((i, el) => {
+        if (results.length >= limit) return;
+        const $a = $(el).find('a.result__a');
+        const title = $a.text().trim();
+        let link = $a.attr('href');
+        if (!title || !link) return;
+
+        // Links come wrapped in a redirect (//duckduckgo.com/l/?uddg=<encoded url>)
+        const wrapped = link.match(/[?&]uddg=([^&]+)/);
+        if (wrapped) {
+          link = decodeURIComponent(wrapped[1]);
+        } else {
+          const m = link.match(/https?:\/\/[^\s&]+/i);
+          if (m) link = m[0];
+        }
+
+        results.push({ title, snippet: $(el).find('.result__snippet').text().trim(), link });
+      });
+      return results;
+    }
+  };
+}
+
+// Ranks the fixtures by keyword overlap with the query, so different questions get different pages
+function createFixtureProvider(file = process.env.WEB_SEARCH_FIXTURES) {
+  const fixtures = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : BUILT_IN_FIXTURES;
+
+  return {
+    name: 'fixture',
+    configured: true,
+
+    async search(query, { limit }) {
+      const keywords = extractKeywords(query.replace(/\bsite:\S+/g, ''));
+      return fixtures
+        .map((fixture, index) => {
+          const text = `${fixture.title} ${fixture.snippet}`.toLowerCase();
+          return { fixture, index, hits: keywords.filter(k => text.includes(k)).length };
+        })
+        .filter(r => r.hits > 0)
+        .sort((a, b) => b.hits - a.hits || a.index - b.index)
+        .slice(0, limit)
+        .map(r => ({ ...r.fixture }));
+    }
+  };
+}
+
+const PROVIDERS = {
+  google: createGoogleProvider,
+  duckduckgo: createDuckDuckGoProvider,
+  fixture: createFixtureProvider
+};
+
+function createWebSearch({
+  providers = (process.env.WEB_SEARCH_PROVIDERS || 'google,duckduckgo').split(','),
+  allowlist = parseAllowlist(process.env.WEB_SEARCH_ALLOWED_DOMAINS || DEFAULT_ALLOWED_DOMAINS.join(',')),
+  ttlMs = CACHE_TTL_MS
+} = {}) {
+  // Names from PROVIDERS, or provider objects ({ name, configured, search }) such as test doubles
+  const chain = providers.map(name => {
+    if (typeof name === 'object') return name;
+    const create = PROVIDERS[name.trim()];
+    if (!create) throw new Error(`Unknown web search provider: ${name}`);
+    return create();
+  });
+
+  // query -> { value, expires } and url -> { value, expires }; Map keeps insertion order, so the
+  // first key is the oldest
+  const cache = new Map();
+  const pageCache = new Map();
+  const stats = { hits: 0, misses: 0, page_hits: 0, page_fetches: 0 };
+
+  const remember = (map, key, value) => {
+    map.delete(key);
+    map.set(key, { value, expires: Date.now() + ttlMs });
+    if (map.size > CACHE_MAX_ENTRIES) map.delete(map.keys().next().value);
+  };
+
+  const recall = (map, key) => {
+    const entry = map.get(key);
+    return entry && entry.expires > Date.now() ? entry : null;
+  };
+
+  const readPage = async (result) => {
+    if (result.provider === 'fixture') {
+      return result.content ? { url: result.link, title: result.title, content: result.content } : null;
+    }
+
+    const cached = recall(pageCache, result.link);
+    if (cached) {
+      stats.page_hits++;
+      return cached.value;
+    }
+    stats.page_fetches++;
+
+    try {
+      const page = await fetchPage(result.link, { timeout: PAGE_FETCH_TIMEOUT_MS });
+      const value = page.content && isAllowed(page.url, allowlist) ? page : null;
+      remember(pageCache, result.link, value);
+      return value;
+    } catch (err) {
+      console.error(`Could not fetch ${result.link}:`, err.message);
+      return null;
+    }
+  };
+
+  return {
+    providers: chain.map(p => p.name),
+    allowlist,
+
+    // First provider with any allowlisted results wins; provider errors fall through to the next
+    async search(question, { siteLimit = null, maxResults = 3 } = {}) {
+      const query = buildQuery(question, siteLimit);
+      if (!query.replace(/\bsite:\S+/, '').trim()) return [];
+
+      const key = `${query}|${maxResults}`;
+      const cached = recall(cache, key);
+      if (cached) {
+        stats.hits++;
+        return cached.value;
+      }
+      stats.misses++;
+
+      let results = [];
+      let answered = false;
+      for (const provider of chain.filter(p => p.configured)) {
+        try {
+          // Ask for extra so there's something left after untrusted links are dropped
+          const raw = await provider.search(query, { limit: maxResults * 3 });
+          answered = true;
+          const trusted = raw.filter(r => isAllowed(r.link, allowlist));
+          if (raw.length > trusted.length) {
+            console.log(`🚫 ${provider.name}: dropped ${raw.length - trusted.length} results outside the allowed domains`);
+          }
+          if (trusted.length > 0) {
+            results = trusted.slice(0, maxResults).map(r => ({ ...r, provider: provider.name }));
+            break;
+          }
+        } catch (err) {
+          console.error(`Web search provider ${provider.name} failed:`, err.message);
+        }
+      }
+
+      // Don't cache an outage as "no results"
+      if (answered) remember(cache, key, results);
+      return results;
+    },
+
+    // Full text of the given results, in order; results that can't be read are left out.
+    // Returns [{ url, title, content, result }].
+    async fetchPages(results) {
+      const pages = await Promise.all(results.map(readPage));
+      return pages
+        .map((page, i) => (page ? { ...page, result: results[i] } : null))
+        .filter(Boolean);
+    },
+
+    cacheStats() {
+      return { ...stats, entries: cache.size, pages: pageCache.size, ttl_ms: ttlMs };
+    },
+
+    clearCache() {
+      const cleared = cache.size + pageCache.size;
+      cache.clear();
+      pageCache.clear();
+      return cleared;
+    }
+  };
+}
+
+module.exports = {
+  buildQuery,
+  createWebSearch,
+  isAllowed
+};
@@ -0,0 +1,397 @@
+// Guided workflows: the decision trees the attendance and exam policies describe ("1-2 days:
+// email your professors; more than 3: contact the Dean"), as JSON definitions a student steps
+// through one question at a time.
+//
+// A definition is { id, title, description, policies, start, steps }. Each step is either a
+// question ({ question, help?, options: [{ value, label, next }] }) or an outcome
+// ({ outcome: { title, text, policies, contacts, next_workflow? } }). Outcome text can use
+// contact placeholders like {{dean_of_students_email}}, filled from the offices directory.
+//
+// The engine is stateless: the client sends the answers so far ({ <step id>: <option value> })
+// and gets back the path taken and the next question or the outcome.
+
+const { fillContacts, getContact } = require('./contacts');
+
+const DEFAULT_WORKFLOWS = [
+  {
+    id: 'absence',
+    title: 'Missing class',
+    description: 'Who to contact when you will miss one or more classes.',
+    policies: ['absence-short-term', 'absence-extended', 'absence-limitation-exceeded', 'intersession-attendance'],
+    start: 'exam_period',
+    steps: {
+      exam_period: {
+        question: 'Will the absence make you miss an exam?',
+        options: [
+          { value: 'yes', label: 'Yes, I will miss an exam', next: 'exam' },
+          { value: 'no', label: 'No, only regular classes', next: 'course_type' }
+        ]
+      },
+      course_type: {
+        question: 'Is the class an intersession or intensive course?',
+        help: 'Intersession and intensive courses meet only a few times, so they have their own attendance rule.',
+        options: [
+          { value: 'regular', label: 'No, a regular semester course', next: 'length' },
+          { value: 'intensive', label: 'Yes, intersession or intensive', next: 'intensive' }
+        ]
+      },
+      length: {
+        question: 'How long will you be absent?',
+        options: [
+          { value: 'short', label: 'One or two days', next: 'limit' },
+          { value: 'extended', label: 'More than three consecutive days', next: 'extended' }
+        ]
+      },
+      limit: {
+        question: 'Will this absence put you over the Applicable Absence Limitation for any class?',
+        help: 'The Applicable Absence Limitation is the most class sessions you may miss in a course.',
+        options: [
+          { value: 'no', label: 'No', next: 'short' },
+          { value: 'yes', label: 'Yes, or I\'m not sure', next: 'over_limit' }
+        ]
+      },
+      short: {
+        outcome: {
+          title: 'Email your professors',
+          text: 'For absences of one or two days, email your professors directly. The Dean of Students Office does not need to be contacted and will not "excuse" these absences; the Applicable Absence Limitation covers them. If you want to record a class you will miss, ask each professor for permission beforehand.',
+          policies: ['absence-short-term', 'class-recording'],
+          contacts: []
+        }
+      },
+      extended: {
+        outcome: {
+          title: 'Contact the Dean of Students Office',
+          text: 'If you will be absent for more than three consecutive days, contact the Dean of Students Office at {{dean_of_students_email}} or {{dean_of_students_phone}}. As a courtesy, also let your professors know you will be absent.',
+          policies: ['absence-extended'],
+          contacts: ['dean_of_students']
+        }
+      },
+      over_limit: {
+        outcome: {
+          title: 'Contact the Dean of Students Office before you exceed the limit',
+          text: 'Exceeding the Applicable Absence Limitation can result in exclusion from the class, meaning you either withdraw or receive an F. Routine absences cannot be excused; only rare, serious situations qualify. Contact the Dean of Students Office at {{dean_of_students_email}} or {{dean_of_students_phone}} as soon as you can.',
+          policies: ['absence-limitation-exceeded', 'excused-absences', 'absence-extended'],
+          contacts: ['dean_of_students']
+        }
+      },
+      intensive: {
+        outcome: {
+          title: 'Plan to attend every meeting',
+          text: 'Intersession and intensive courses have no Applicable Absence Limitation; students are expected to attend all class meetings. If you cannot attend, contact the Dean of Students Office at {{dean_of_students_email}} or {{dean_of_students_phone}} as soon as possible.',
+          policies: ['intersession-attendance'],
+          contacts: ['dean_of_students']
+        }
+      },
+      exam: {
+        outcome: {
+          title: 'Follow the exam emergency steps',
+          text: 'Missing an exam is handled by the Dean of Students Office, not your professor. Because of exam anonymity, do not contact your professor. Email {{dean_of_students_email}} or call {{dean_of_students_phone}}, or use the "Emergency during exams" guide.',
+          policies: ['exam-emergency', 'exam-postponement'],
+          contacts: ['dean_of_students'],
+          next_workflow: 'exam-emergency'
+        }
+      }
+    }
+  },
+  {
+    id: 'exam-emergency',
+    title: 'Emergency during exams',
+    description: 'What to do if illness or an emergency conflicts with an exam.',
+    policies: ['exam-emergency', 'exam-postponement', 'exam-regulations'],
+    start: 'safety',
+    steps: {
+      safety: {
+        question: 'Is anyone in danger or in need of medical care right now?',
+        options: [
+          { value: 'yes', label: 'Yes', next: 'urgent' },
+          { value: 'no', label: 'No', next: 'reason' }
+        ]
+      },
+      reason: {
+        question: 'What is causing the conflict with your exam?',
+        options: [
+          { value: 'illness', label: 'I am ill', next: 'postpone' },
+          { value: 'family', label: 'A family emergency', next: 'postpone' },
+          { value: 'other_serious', label: 'Another serious, unexpected situation', next: 'postpone' },
+          { value: 'preference', label: 'Travel, work or another planned commitment', next: 'scheduled' }
+        ]
+      },
+      urgent: {
+        outcome: {
+          title: 'Get help first',
+          text: 'Call 911 or Suffolk University Police at {{university_police_phone}}. Once you are safe, contact the Dean of Students Office at {{dean_of_students_email}} or {{dean_of_students_phone}} about the exam. Because of exam anonymity, do not contact your professor.',
+          policies: ['exam-emergency'],
+          contacts: ['university_police', 'dean_of_students']
+        }
+      },
+      postpone: {
+        outcome: {
+          title: 'Contact the Dean of Students Office, not your professor',
+          text: 'Contact the Dean of Students Office immediately by emailing {{dean_of_students_email}} or calling {{dean_of_students_phone}}. Postponements are granted for serious illness, family emergency or other extraordinary circumstances. Because of exam anonymity, you must not alert your professors.',
+          policies: ['exam-emergency', 'exam-postponement'],
+          contacts: ['dean_of_students']
+        }
+      },
+      scheduled: {
+        outcome: {
+          title: 'Plan to take the exam as scheduled',
+          text: 'Exams must be taken at their scheduled times unless a postponement is approved, and postponements are only granted for serious illness, family emergency or other extraordinary circumstances. If you think your situation qualifies, contact the Dean of Students Office at {{dean_of_students_email}}. Do not contact your professor.',
+          policies: ['exam-postponement', 'exam-regulations'],
+          contacts: ['dean_of_students']
+        }
+      }
+    }
+  },
+  {
+    id: 'leave-of-absence',
+    title: 'Taking a leave of absence',
+    description: 'Stepping away from the J.D. program for a semester or more.',
+    policies: ['leave-of-absence-voluntary', 'dean-of-students'],
+    start: 'length',
+    steps: {
+      length: {
+        question: 'How long do you expect to be away?',
+        options: [
+          { value: 'weeks', label: 'Days or a few weeks during the semester', next: 'extended_absence' },
+          { value: 'semester', label: 'A full semester or longer', next: 'reason' }
+        ]
+      },
+      reason: {
+        question: 'What is the main reason?',
+        options: [
+          { value: 'medical', label: 'Medical or health', next: 'medical_leave' },
+          { value: 'personal', label: 'Personal, family or financial', next: 'leave' },
+          { value: 'other', label: 'Something else', next: 'leave' }
+        ]
+      },
+      extended_absence: {
+        outcome: {
+          title: 'This is an extended absence, not a leave',
+          text: 'For absences of more than three consecutive days during a semester, contact the Dean of Students Office at {{dean_of_students_email}} or {{dean_of_students_phone}}. They can also talk through whether a leave of absence makes more sense.',
+          policies: ['absence-extended', 'absence-limitation-exceeded'],
+          contacts: ['dean_of_students']
+        }
+      },
+      medical_leave: {
+        outcome: {
+          title: 'Talk to the Dean of Students Office about a medical leave',
+          text: 'Students may request a voluntary leave of absence for medical reasons. Contact the Dean of Students Office at {{dean_of_students_email}} or {{dean_of_students_phone}} to discuss the process; leaves typically last one or two semesters. If a health condition could be supported with accommodations instead, ask about those too.',
+          policies: ['leave-of-absence-voluntary', 'academic-accommodations'],
+          contacts: ['dean_of_students']
+        }
+      },
+      leave: {
+        outcome: {
+          title: 'Talk to the Dean of Students Office about a leave',
+          text: 'Students may request a voluntary leave of absence for personal or other reasons. Contact the Dean of Students Office at {{dean_of_students_email}} or {{dean_of_students_phone}} to discuss the process; leaves typically last one or two semesters.',
+          policies: ['leave-of-absence-voluntary', 'dean-of-students'],
+          contacts: ['dean_of_students']
+        }
+      }
+    }
+  },
+  {
+    id: 'exam-accommodations',
+    title: 'Exam accommodations',
+    description: 'Arranging extended time, a separate room or other exam accommodations.',
+    policies: ['exam-accommodations', 'academic-accommodations'],
+    start: 'approved',
+    steps: {
+      approved: {
+        question: 'Have you already been approved for accommodations through Disability Services?',
+        options: [
+          { value: 'no', label: 'No, not yet', next: 'request' },
+          { value: 'yes', label: 'Yes', next: 'confirmed' }
+        ]
+      },
+      confirmed: {
+        question: 'Have you confirmed your accommodations for this semester\'s exams?',
+        options: [
+          { value: 'no', label: 'No', next: 'confirm' },
+          { value: 'yes', label: 'Yes', next: 'ready' }
+        ]
+      },
+      request: {
+        outcome: {
+          title: 'Request accommodations as early as possible',
+          text: 'Contact Disability Services as early as possible. Accommodations must be arranged in advance and cannot be applied retroactively, so an exam taken before approval will not be adjusted afterwards. For information about the process, contact {{dean_of_students_email}}.',
+          policies: ['academic-accommodations'],
+          contacts: ['dean_of_students']
+        }
+      },
+      confirm: {
+        outcome: {
+          title: 'Confirm with the Dean of Students Office',
+          text: 'Accommodations must be confirmed each semester. Contact the Dean of Students Office at {{dean_of_students_email}} or {{dean_of_students_phone}} at least two weeks before exams.',
+          policies: ['exam-accommodations'],
+          contacts: ['dean_of_students']
+        }
+      },
+      ready: {
+        outcome: {
+          title: 'You\'re set',
+          text: 'Your accommodations apply to this semester\'s exams. The rest of the exam regulations, including anonymous grading and using ExamSoft for electronic exams, still apply. If anything changes, contact the Dean of Students Office at {{dean_of_students_email}}.',
+          policies: ['exam-regulations', 'exam-accommodations'],
+          contacts: ['dean_of_students']
+        }
+      }
+    }
+  }
+];
+
+async function ensureWorkflowTables(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS workflows (
+      id VARCHAR(100) PRIMARY KEY,
+      definition TEXT NOT NULL,
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  for (const w of DEFAULT_WORKFLOWS) {
+    await pool.query(`
+      INSERT INTO workflows (id, definition) VALUES ($1, $2)
+      ON CONFLICT (id) DO NOTHING
+    `, [w.id, JSON.stringify(w)]);
+  }
+}
+
+function validationError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Throws a 400 error describing the first problem: bad shape, a branch to a step that doesn't
+// exist, or a step no path reaches
+function validateWorkflow(definition) {
+  if (!definition || typeof definition !== 'object') throw validationError('Workflow definition must be an object');
+  if (!/^[a-z0-9-]+$/.test(definition.id || '')) throw validationError('id must be lowercase letters, digits and dashes');
+  if (!definition.title) throw validationError('title is required');
+  if (!definition.steps || typeof definition.steps !== 'object') throw validationError('steps must be an object');
+  if (!definition.steps[definition.start]) throw validationError(`start step "${definition.start}" does not exist`);
+
+  for (const [id, step] of Object.entries(definition.steps)) {
+    if (step.outcome) {
+      if (!step.outcome.title || !step.outcome.text) throw validationError(`Outcome "${id}" needs a title and text`);
+      continue;
+    }
+    if (!step.question || !Array.isArray(step.options) || step.options.length < 2) {
+      throw validationError(`Step "${id}" needs a question and at least two options, or an outcome`);
+    }
+    for (const option of step.options) {
+      if (!option.value || !option.label) throw validationError(`Every option in "${id}" needs a value and a label`);
+      if (!definition.steps[option.next]) throw validationError(`Option "${option.value}" in "${id}" leads to missing step "${option.next}"`);
+    }
+  }
+
+  const reached = new Set();
+  const queue = [definition.start];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (reached.has(id)) continue;
+    reached.add(id);
+    (definition.steps[id].options || []).forEach(o => queue.push(o.next));
+  }
+  const unreachable = Object.keys(definition.steps).filter(id => !reached.has(id));
+  if (unreachable.length > 0) throw validationError(`Unreachable steps: ${unreachable.join(', ')}`);
+
+  return definition;
+}
+
+async function loadWorkflow(pool, id) {
+  const result = await pool.query('SELECT definition FROM workflows WHERE id = $1 AND is_active = true', [id]);
+  return result.rows.length > 0 ? JSON.parse(result.rows[0].definition) : null;
+}
+
+async function listWorkflows(pool) {
+  const result = await pool.query('SELECT definition FROM workflows WHERE is_active = true ORDER BY id');
+  return result.rows.map(row => {
+    const w = JSON.parse(row.definition);
+    return { id: w.id, title: w.title, description: w.description, policies: w.policies || [] };
+  });
+}
+
+// Creates or replaces a workflow; returns the stored definition
+async function saveWorkflow(pool, definition) {
+  validateWorkflow(definition);
+  await pool.query(`
+    INSERT INTO workflows (id, definition) VALUES ($1, $2)
+    ON CONFLICT (id) DO UPDATE SET definition = EXCLUDED.definition, is_active = true, last_updated = CURRENT_TIMESTAMP
+  `, [definition.id, JSON.stringify(definition)]);
+  return definition;
+}
+
+// Policy ids -> { external_id, title, url }, skipping any that aren't in the database
+async function resolvePolicies(pool, ids) {
+  if (ids.length === 0) return [];
+  const result = await pool.query(
+    'SELECT external_id, title, source_url FROM policies WHERE is_active = true AND external_id = ANY($1)',
+    [ids]
+  );
+  const byExternalId = new Map(result.rows.map(p => [p.external_id, p]));
+  return ids
+    .filter(id => byExternalId.has(id))
+    .map(id => ({ external_id: id, title: byExternalId.get(id).title, url: byExternalId.get(id).source_url }));
+}
+
+function questionStep(id, step) {
+  return {
+    id,
+    type: 'question',
+    question: step.question,
+    help: step.help || null,
+    options: step.options.map(o => ({ value: o.value, label: o.label }))
+  };
+}
+
+// Follows the answers from the start step. Returns { path, step }, where step is the next
+// unanswered question or the outcome reached.
+async function advanceWorkflow(pool, definition, answers = {}) {
+  const path = [];
+  let id = definition.start;
+
+  // A valid definition has no more steps on a path than it has steps
+  for (let i = 0; i <= Object.keys(definition.steps).length; i++) {
+    const step = definition.steps[id];
+
+    if (step.outcome) {
+      const outcome = step.outcome;
+      return {
+        path,
+        step: {
+          id,
+          type: 'outcome',
+          title: outcome.title,
+          text: fillContacts(outcome.text),
+          policies: await resolvePolicies(pool, outcome.policies || []),
+          contacts: (outcome.contacts || []).map(getContact).filter(Boolean),
+          next_workflow: outcome.next_workflow || null
+        }
+      };
+    }
+
+    const answer = answers[id];
+    if (answer === undefined) return { path, step: questionStep(id, step) };
+
+    const option = step.options.find(o => o.value === answer);
+    if (!option) throw validationError(`"${answer}" is not an option for step "${id}"`);
+
+    path.push({ step: id, question: step.question, answer: option.value, label: option.label });
+    id = option.next;
+  }
+
+  throw new Error(`Workflow ${definition.id} loops at step "${id}"`);
+}
+
+module.exports = {
+  advanceWorkflow,
+  ensureWorkflowTables,
+  listWorkflows,
+  loadWorkflow,
+  resolvePolicies,
+  saveWorkflow,
+  validateWorkflow
+};